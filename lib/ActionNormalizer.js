@@ -0,0 +1,182 @@
+/**
+ * 녹화 액션 정리(정규화) 모듈 (Recorder.stopRecording / 단독 사용)
+ * - 키 입력 단위 input 연속 구간 → 마지막 input 1개 (최종 값)
+ * - 체크박스/라디오 click(checked) 직후의 같은 대상 change → 제거 (click 재생이 change 까지 발생시킴)
+ * - dblclick 직전의 같은 대상 click (최대 2개) → 제거, dblclick 에 includesClicks: true 표시
+ *   (Replayer 가 click → dblclick 순서를 dblclick 하나로 재현)
+ * - 크기 변화 없는 browser_resize (녹화 시작 창 크기인 첫 browser_resize 제외), 이동 없는 scroll → 제거
+ * - 남는 액션의 timestamp 는 변경하지 않으므로 Replayer 의 타이밍 재현은 그대로 동작한다.
+ *   (제거된 액션의 간격은 다음 액션까지의 대기 시간에 포함된다)
+ */
+
+const { migrateRecording } = require('./RecordingSchema');
+
+// input 연속 구간 사이에 기록되는 편집 키 (최종 값 할당으로 대체되므로 함께 제거)
+const EDITING_KEYS = ['Backspace', 'Delete', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'Space'];
+
+const DEFAULT_RULES = {
+    mergeInputs: true,
+    collapseCheckChange: true,
+    collapseDblclickClicks: true,
+    dropNoopResize: true,
+    dropNoopScroll: true
+};
+
+/**
+ * 같은 대상(탭/프레임/Selector) 여부
+ * - selector 가 없는 액션(DevTools 에서 가져온 aria/text 후보 등)은 후보 목록으로 비교
+ */
+function isSameTarget(a, b) {
+    const targetOf = (action) => action.selector !== undefined ? action.selector : JSON.stringify(action.selectors || null);
+    return !!a && !!b
+        && targetOf(a) === targetOf(b)
+        && (a.tabId || null) === (b.tabId || null)
+        && JSON.stringify(a.framePath || []) === JSON.stringify(b.framePath || []);
+}
+
+/**
+ * 액션 목록 정리
+ * - 원본 배열/액션은 변경하지 않는다.
+ * @param {Array<Object>} actions
+ * @param {Object} [option] - 규칙별 사용 여부 (기본: 모두 사용)
+ * @param {boolean} [option.mergeInputs=true]
+ * @param {boolean} [option.collapseCheckChange=true]
+ * @param {boolean} [option.collapseDblclickClicks=true]
+ * @param {boolean} [option.dropNoopResize=true]
+ * @param {boolean} [option.dropNoopScroll=true]
+ * @returns {Array<Object>}
+ */
+function normalizeActions(actions, option = {}) {
+    return normalizeActionsWithMap(actions, option).actions;
+}
+
+/**
+ * 액션 목록 정리 + 원본 → 결과 인덱스 대응표
+ * - 제거/병합된 액션은 흡수한 액션(병합 결과, 직전 click 등)의 인덱스로 대응한다. (대응 액션이 없으면 null)
+ * - 네트워크 기록(_actionIndex) 등 원본 인덱스를 참조하는 데이터 보정에 사용한다.
+ * @returns {{actions: Array<Object>, indexMap: Array<number|null>}}
+ */
+function normalizeActionsWithMap(actions, option = {}) {
+    const rules = { ...DEFAULT_RULES, ...option };
+    const result = [];
+    const sources = [];     // result[i] 에 흡수된 원본 인덱스 목록
+
+    const absorb = (target, index) => {
+        if (target >= 0) sources[target].push(index);
+    };
+    const firstResize = (actions || []).find(action => action.type === 'browser_resize');
+
+    (actions || []).forEach((action, index) => {
+        const prev = result[result.length - 1];
+
+        // 1. 이동/크기 변화 없는 액션
+        if (rules.dropNoopResize && action.type === 'browser_resize' && action !== firstResize
+                && action.fromWidth === action.toWidth && action.fromHeight === action.toHeight) {
+            return absorb(result.length - 1, index);
+        }
+        if (rules.dropNoopScroll && action.type === 'scroll'
+                && action.startScrollX === action.scrollX && action.startScrollY === action.scrollY) {
+            return absorb(result.length - 1, index);
+        }
+
+        // 2. 체크박스/라디오 click → change
+        if (rules.collapseCheckChange && action.type === 'change' && action.checked !== undefined
+                && prev && prev.type === 'click' && prev.checked === action.checked && isSameTarget(prev, action)) {
+            return absorb(result.length - 1, index);
+        }
+
+        let folded = [];
+
+        // 3. dblclick 직전 click
+        if (rules.collapseDblclickClicks && action.type === 'dblclick') {
+            for (let i = 0; i < 2; i++) {
+                const last = result[result.length - 1];
+                if (!last || last.type !== 'click' || !isSameTarget(last, action)) break;
+                result.pop();
+                folded = [...sources.pop(), ...folded];
+            }
+            if (folded.length > 0) {
+                result.push({ ...action, includesClicks: true });
+                sources.push([...folded, index]);
+                return;
+            }
+        }
+
+        // 4. 키 입력 단위 input 연속 구간 (사이의 편집 키 포함)
+        if (rules.mergeInputs && action.type === 'input') {
+            let start = result.length;
+            while (start > 0) {
+                const item = result[start - 1];
+                const isBurstKey = item.type === 'keydown' && EDITING_KEYS.includes(item.key)
+                    && !(item.modifiers && item.modifiers.length > 0) && isSameTarget(item, action);
+                if (item.type === 'input' && isSameTarget(item, action)) start--;
+                else if (isBurstKey && start > 1 && result[start - 2].type === 'input' && isSameTarget(result[start - 2], action)) start--;
+                else break;
+            }
+
+            if (start < result.length) {
+                result.splice(start);
+                folded = [...[].concat(...sources.splice(start)), ...folded];
+
+                // 최종 값만 할당하므로 키 입력 단위 정보는 제거 (keystrokeMode 에서도 값 할당으로 재생)
+                const { inputType, data, ...rest } = action;
+                result.push(rest);
+                sources.push([...folded, index]);
+                return;
+            }
+        }
+
+        result.push({ ...action });
+        sources.push([...folded, index]);
+    });
+
+    const indexMap = new Array((actions || []).length).fill(null);
+    sources.forEach((list, target) => list.forEach(index => { indexMap[index] = target; }));
+
+    return { actions: result, indexMap };
+}
+
+/**
+ * 녹화 문서 정리 (이전 평면 형식은 변환 후 정리)
+ * @param {Object} recordData
+ * @param {Object} [option] - normalizeActions 옵션
+ * @returns {Object} schemaVersion 2 문서 (metadata.normalized = { originalCount, count })
+ */
+function normalizeRecording(recordData, option = {}) {
+    const recording = migrateRecording(recordData);
+    const { actions, indexMap } = normalizeActionsWithMap(recording.actions, option);
+
+    const normalized = {
+        ...recording,
+        metadata: {
+            ...recording.metadata,
+            normalized: { originalCount: (recording.actions || []).length, count: actions.length }
+        },
+        actions
+    };
+
+    // 네트워크 기록의 액션 인덱스 보정
+    if (recording.network && recording.network.log) {
+        normalized.network = {
+            log: {
+                ...recording.network.log,
+                entries: (recording.network.log.entries || []).map(entry => remapEntry(entry, indexMap, actions))
+            }
+        };
+    }
+    return normalized;
+}
+
+/**
+ * HAR entry 의 _actionIndex/_actionType 을 정리 결과 기준으로 보정 (NetworkRecorder 형식)
+ * @returns {Object} 보정된 entry (복사본)
+ */
+function remapEntry(entry, indexMap, actions) {
+    if (entry._actionIndex === null || entry._actionIndex === undefined) return entry;
+
+    const index = indexMap[entry._actionIndex];
+    const mapped = index !== null && index !== undefined ? index : null;
+    return { ...entry, _actionIndex: mapped, _actionType: mapped !== null ? actions[mapped].type : null };
+}
+
+module.exports = { normalizeActions, normalizeActionsWithMap, normalizeRecording, remapEntry };
@@ -0,0 +1,75 @@
+/**
+ * 브라우저 실행/연결 모듈 (Recorder, Replayer 공용)
+ * - connectOptions 가 있으면 이미 실행 중인 브라우저(Chromium/Electron)에 puppeteer.connect 로 연결한다.
+ *   (browserWSEndpoint 또는 browserURL)
+ * - 연결한 브라우저는 소유하지 않으므로 종료 시 직접 연 탭만 닫고 연결만 해제한다.
+ */
+
+const puppeteer = require('puppeteer');
+
+/**
+ * 브라우저 실행 또는 연결
+ * @param {Object} option - Recorder/Replayer 옵션 ({ connectOptions, launchOptions })
+ * @returns {Promise<{browser: Browser, owned: boolean}>}
+ */
+async function openBrowser(option) {
+    if (option.connectOptions) {
+        const browser = await puppeteer.connect({ defaultViewport: null, ...option.connectOptions });
+        return { browser, owned: false };
+    }
+    return { browser: await puppeteer.launch(option.launchOptions), owned: true };
+}
+
+/**
+ * 작업 대상 페이지 선택
+ * - 실행한 브라우저: 첫 탭 (없으면 새 탭)
+ * - 연결한 브라우저: targetUrl(없으면 url)과 일치하는 기존 탭 (없으면 새 탭)
+ *   targetUrl 은 문자열(접두사 일치), RegExp, 또는 (url) => boolean
+ * @returns {Promise<{page: Page, created: boolean, matched: boolean}>}
+ */
+async function selectPage(browser, owned, option) {
+    const pages = await browser.pages();
+
+    if (owned) {
+        if (pages[0]) return { page: pages[0], created: false, matched: false };
+        return { page: await browser.newPage(), created: true, matched: false };
+    }
+
+    const target = option.targetUrl || option.url;
+    const isMatch = (url) => {
+        if (!target) return false;
+        if (typeof target === 'function') return !!target(url);
+        if (target instanceof RegExp) return target.test(url);
+        return url === target || url.startsWith(target);
+    };
+
+    const page = pages.find(p => isMatch(p.url()));
+    if (page) return { page, created: false, matched: true };
+
+    return { page: await browser.newPage(), created: true, matched: false };
+}
+
+/**
+ * 브라우저 정리
+ * - 실행한 브라우저: 모든 탭과 브라우저 종료
+ * - 연결한 브라우저: 직접 연 탭만 닫고 연결 해제
+ * @param {Browser} browser
+ * @param {boolean} owned
+ * @param {Iterable<Page>} [createdPages] - 직접 연 탭
+ */
+async function releaseBrowser(browser, owned, createdPages = []) {
+    if (!browser || !browser.isConnected()) return;
+
+    if (owned) {
+        // 특정 탭 닫기에 실패해도 나머지는 계속 진행
+        const pages = await browser.pages();
+        await Promise.all(pages.map(page => page.close().catch(() => {})));
+        await browser.close();
+        return;
+    }
+
+    await Promise.all(Array.from(createdPages).map(page => page.isClosed() ? null : page.close().catch(() => {})));
+    await browser.disconnect();
+}
+
+module.exports = { openBrowser, selectPage, releaseBrowser };
@@ -0,0 +1,682 @@
+/**
+ * 녹화 문서 → 테스트 스크립트 변환 모듈
+ * - Puppeteer: 단독 실행 Node 스크립트 (node script.js)
+ * - Playwright: @playwright/test 테스트 파일 (npx playwright test)
+ * - 각 단계 후 busyIndicatorSelector 가 사라질 때까지 대기한다. (Replayer 와 동일)
+ * - Selector 는 녹화된 후보 중 유일한 후보(없으면 최상위 후보)를 사용한다.
+ * - 비밀 값 "{{secret:이름}}" 은 requireSecret("이름") 호출로 변환된다. (EnvSecretProvider 규칙, 미설정 시 에러)
+ * - assert_count 는 Replayer 와 같은 단일 후보(ElementLocator.getCountCandidate)로 개수를 센다.
+ */
+
+const { migrateRecording } = require('./RecordingSchema');
+const { ElementLocator } = require('./ElementLocator');
+
+const DEFAULT_BUSY_SELECTOR = '.u4aUiBusyIndicator, .sapUiLocalBusyIndicator, .U4A_progress';
+const SECRET_PATTERN = /\{\{secret:([\w.-]+)\}\}/g;
+
+const q = (value) => JSON.stringify(value === undefined ? null : value);
+
+class CodeGenerator {
+
+    /**
+     * @param {Object} [option]
+     * @param {string} [option.busyIndicatorSelector] - 각 단계 후 대기할 Busy Indicator
+     * @param {number} [option.busyTimeout=300000]
+     * @param {boolean} [option.preserveTiming=false] - 녹화된 단계 간 대기 시간 재현 (일시정지 구간 제외)
+     * @param {string} [option.testName] - Playwright 테스트 이름
+     * @param {string} [option.fixturesDir='fixtures'] - file_upload 파일 경로 기준 폴더
+     */
+    constructor(option = {}) {
+        this.option = {
+            busyIndicatorSelector: DEFAULT_BUSY_SELECTOR,
+            busyTimeout: 60000 * 5,
+            preserveTiming: false,
+            testName: null,
+            fixturesDir: 'fixtures',
+            ...option
+        };
+    }
+
+    /**
+     * Puppeteer 스크립트 생성
+     * @param {Object} recordData - 녹화 문서 (이전 평면 형식 포함)
+     * @returns {string}
+     * @throws {Error} 지원하지 않는 액션 타입이 포함된 경우
+     */
+    toPuppeteer(recordData) {
+        const recording = migrateRecording(recordData);
+        const url = recording.metadata.url;
+        const body = this._generateSteps(recording, PUPPETEER);
+
+        return [
+            `// Generated by u4a-record-replay from ${url || 'recording'}`,
+            `const puppeteer = require('puppeteer');`,
+            `const path = require('path');`,
+            ``,
+            `const BUSY_INDICATOR = ${q(this.option.busyIndicatorSelector)};`,
+            `const BUSY_TIMEOUT = ${this.option.busyTimeout};`,
+            ``,
+            PUPPETEER.helpers,
+            ``,
+            `(async () => {`,
+            `    const browser = await puppeteer.launch({ headless: false, defaultViewport: null });`,
+            `    const page = (await browser.pages())[0] || await browser.newPage();`,
+            `    const tabs = { ${q(this._firstTabId(recording))}: page };`,
+            `    let current = page;`,
+            ``,
+            `    try {`,
+            `        await page.goto(${q(url)}, { waitUntil: 'networkidle0' });`,
+            `        await waitForBusy(page);`,
+            ``,
+            indent(body, 8),
+            `    } finally {`,
+            `        await browser.close();`,
+            `    }`,
+            `})().catch((error) => {`,
+            `    console.error(error);`,
+            `    process.exitCode = 1;`,
+            `});`,
+            ``
+        ].join('\n');
+    }
+
+    /**
+     * Playwright 테스트 파일 생성
+     * @param {Object} recordData - 녹화 문서 (이전 평면 형식 포함)
+     * @returns {string}
+     * @throws {Error} 지원하지 않는 액션 타입이 포함된 경우
+     */
+    toPlaywright(recordData) {
+        const recording = migrateRecording(recordData);
+        const url = recording.metadata.url;
+        const body = this._generateSteps(recording, PLAYWRIGHT);
+        const name = this.option.testName || `recording ${url || ''}`.trim();
+
+        return [
+            `// Generated by u4a-record-replay from ${url || 'recording'}`,
+            `const { test, expect } = require('@playwright/test');`,
+            `const path = require('path');`,
+            ``,
+            `const BUSY_INDICATOR = ${q(this.option.busyIndicatorSelector)};`,
+            `const BUSY_TIMEOUT = ${this.option.busyTimeout};`,
+            ``,
+            PLAYWRIGHT.helpers,
+            ``,
+            `test(${q(name)}, async ({ page, context }) => {`,
+            `    test.setTimeout(0);`,
+            `    const tabs = { ${q(this._firstTabId(recording))}: page };`,
+            `    let current = page;`,
+            ``,
+            `    await page.goto(${q(url)}, { waitUntil: 'networkidle' });`,
+            `    await waitForBusy(page);`,
+            ``,
+            indent(body, 4),
+            `});`,
+            ``
+        ].join('\n');
+    }
+
+    // ===== 내부 =====
+
+    _firstTabId(recording) {
+        const first = recording.actions.find(a => a.tabId);
+        return first ? first.tabId : 'tab-0';
+    }
+
+    /**
+     * [내부] 단계별 코드 생성
+     */
+    _generateSteps(recording, target) {
+        const actions = recording.actions;
+        const pauses = recording.metadata.pauses;
+        const lines = [];
+
+        actions.forEach((action, i) => {
+            const code = this._generateAction(action, target, recording.environment);
+            lines.push(`// ${i + 1}. ${action.type}${action.selector ? ` ${action.selector}` : ''}`.replace(/\s+$/, ''));
+            lines.push(...code);
+
+            // marker/대기 단계 외에는 Busy Indicator 대기
+            if (!['marker', 'wait_ms', 'tab_close'].includes(action.type)) lines.push(`await waitForBusy(current);`);
+
+            const next = actions[i + 1];
+            if (this.option.preserveTiming && next && action.timestamp && next.timestamp) {
+                const delay = recordedDelay(action.timestamp, next.timestamp, pauses);
+                if (delay > 0) lines.push(`await sleep(${delay});`);
+            }
+            lines.push('');
+        });
+
+        return lines.join('\n').replace(/\n+$/, '');
+    }
+
+    _generateAction(action, t, environment) {
+        const ctx = t.context(action.framePath);
+        const loc = () => t.locator(ctx, pickSelector(action));
+        const value = (v) => secretExpression(v);
+
+        switch (action.type) {
+            case 'click':
+                if (action.checked !== undefined) return t.setChecked(loc(), action.checked);
+                return [`await ${loc()}.click();`];
+
+            case 'dblclick':
+                return [t.dblclick(loc())];
+
+            case 'contextmenu':
+                return [`await ${loc()}.click({ button: 'right' });`];
+
+            case 'hover':
+                return [`await ${loc()}.hover();`];
+
+            case 'input':
+                return [`await ${loc()}.fill(${value(action.value || '')});`];
+
+            case 'change':
+                if (action.checked !== undefined) return t.setChecked(loc(), action.checked);
+                return t.change(loc(), value(action.value || ''));
+
+            case 'keydown': {
+                const keys = [...(action.modifiers || []), action.key];
+                return t.keyboard(keys);
+            }
+
+            case 'scroll':
+                if (action.selector === 'window') {
+                    return [`await current.evaluate(([x, y]) => window.scrollTo(x, y), [${action.scrollX}, ${action.scrollY}]);`];
+                }
+                return t.scrollElement(loc(), action.scrollX, action.scrollY);
+
+            case 'drag': {
+                const to = action.to ? t.locator(ctx, pickSelector(action.to)) : null;
+                return t.drag(loc(), to, action);
+            }
+
+            case 'file_upload': {
+                const files = (action.files || []).map(f => `path.resolve(${q(this.option.fixturesDir)}, ${q(f.name)})`);
+                return t.upload(loc(), files);
+            }
+
+            case 'browser_resize': {
+                const viewport = toViewportSize(action, environment);
+                return [t.resize(viewport.width, viewport.height)];
+            }
+
+            case 'navigate':
+                return t.navigate(action);
+
+            case 'tab_open':
+                return t.tabOpen(action);
+
+            case 'tab_switch':
+                return [`current = tabs[${q(action.tabId)}];`, `await current.bringToFront();`];
+
+            case 'tab_close':
+                return [
+                    `await tabs[${q(action.tabId)}].close().catch(() => {});`,
+                    `delete tabs[${q(action.tabId)}];`,
+                    `current = Object.values(tabs).filter(p => !p.isClosed()).pop() || current;`
+                ];
+
+            case 'marker':
+                return [`// --- ${String(action.label || '').replace(/\n/g, ' ')} ---`];
+
+            case 'assert_text':
+            case 'assert_visible':
+            case 'assert_hidden':
+            case 'assert_value':
+            case 'assert_url':
+                return t.assertion(action, action.type === 'assert_url' ? null : loc(), value, ctx);
+
+            case 'assert_count':
+                // 개수 검증은 좁히지 않은(.first() 없는) 단일 후보 Locator 사용
+                return t.assertion(action, t.locator(ctx, countSelector(action), true), value, ctx);
+
+            case 'wait_for_selector':
+                return [t.waitFor(loc(), !!action.visible, action.timeout)];
+
+            case 'wait_ms':
+                return [`await sleep(${Number(action.duration) || 0});`];
+
+            default:
+                // 생략된 단계가 있는 스크립트가 성공으로 끝나지 않도록 생성 자체를 중단
+                throw new Error(`[CodeGenerator] 지원하지 않는 액션 타입입니다: "${action.type}"`);
+        }
+    }
+}
+
+// =====================================================================
+// 공통 헬퍼
+// =====================================================================
+
+function indent(text, size) {
+    const pad = ' '.repeat(size);
+    return text.split('\n').map(line => line ? pad + line : line).join('\n');
+}
+
+/**
+ * browser_resize 의 창 크기 → 스크립트에서 지정할 뷰포트 크기
+ * - 녹화 환경의 창 테두리 크기(window - viewport)를 뺀다. (DevTools 에서 가져온 액션은 viewportWidth/viewportHeight)
+ */
+function toViewportSize(action, environment = {}) {
+    if (typeof action.viewportWidth === 'number' && typeof action.viewportHeight === 'number') {
+        return { width: action.viewportWidth, height: action.viewportHeight };
+    }
+    const { window: win, viewport } = environment || {};
+    const border = win && viewport
+        ? { width: win.width - viewport.width, height: win.height - viewport.height }
+        : { width: 0, height: 0 };
+    return { width: action.toWidth - border.width, height: action.toHeight - border.height };
+}
+
+/**
+ * 녹화 시점 간격 (일시정지 구간 제외) - Replayer._recordedDelay 와 동일
+ */
+function recordedDelay(from, to, pauses) {
+    let delay = to - from;
+    (pauses || []).forEach(pause => {
+        const overlap = Math.min(to, pause.end || to) - Math.max(from, pause.start);
+        if (overlap > 0) delay -= overlap;
+    });
+    return Math.max(delay, 0);
+}
+
+/**
+ * 사용할 Selector 후보 (유일한 후보 우선)
+ * @returns {{type: string, value: string, tagName?: string, host?: string}}
+ */
+function pickSelector(target) {
+    const candidates = Array.isArray(target.selectors) ? target.selectors : [];
+    return candidates.find(c => c.unique) || candidates[0] || { type: 'css', value: target.selector };
+}
+
+/**
+ * assert_count 에 사용할 Selector 후보 (Replayer 의 ElementLocator.count 와 동일)
+ */
+function countSelector(action) {
+    return ElementLocator.getCountCandidate(action) || { type: 'css', value: action.selector };
+}
+
+/**
+ * 값 → JS 표현식 (비밀 값은 생성 스크립트의 requireSecret 호출)
+ */
+function secretExpression(value) {
+    if (typeof value !== 'string' || !value.includes('{{secret:')) return q(value);
+
+    const parts = [];
+    let last = 0;
+    value.replace(SECRET_PATTERN, (match, name, offset) => {
+        if (offset > last) parts.push(q(value.slice(last, offset)));
+        parts.push(`requireSecret(${q(name)})`);
+        last = offset + match.length;
+    });
+    if (last < value.length) parts.push(q(value.slice(last)));
+    return parts.join(' + ');
+}
+
+function escapeRegExp(text) {
+    return String(text).replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+// 생성 스크립트 공통: 비밀 값 조회 (EnvSecretProvider 와 같은 환경 변수 규칙)
+const SECRET_HELPER = [
+    `// 비밀 값 조회 (U4A_SECRET_<이름> → <이름> 환경 변수 순), 없으면 즉시 중단`,
+    `function requireSecret(name) {`,
+    `    const envName = 'U4A_SECRET_' + name.replace(/[^\\w]/g, '_').toUpperCase();`,
+    `    const value = process.env[envName] !== undefined ? process.env[envName] : process.env[name];`,
+    `    if (value === undefined) throw new Error('Secret not found: ' + name + ' (set ' + envName + ')');`,
+    `    return value;`,
+    `}`
+].join('\n');
+
+// =====================================================================
+// Puppeteer
+// =====================================================================
+
+const PUPPETEER = {
+    helpers: [
+        `const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));`,
+        ``,
+        `// Busy Indicator 가 사라질 때까지 대기`,
+        `async function waitForBusy(page) {`,
+        `    await page.waitForFunction((sel) => !Array.from(document.querySelectorAll(sel)).some(el => {`,
+        `        const style = window.getComputedStyle(el);`,
+        `        return style.display !== 'none' && style.visibility !== 'hidden' && !el.hidden;`,
+        `    }), { timeout: BUSY_TIMEOUT }, BUSY_INDICATOR);`,
+        `}`,
+        ``,
+        `// 프레임 경로(name → url → index) 로 iframe 탐색`,
+        `async function frameOf(page, framePath) {`,
+        `    let frame = page.mainFrame();`,
+        `    for (const entry of framePath) {`,
+        `        const match = () => {`,
+        `            const children = frame.childFrames();`,
+        `            if (entry.name || entry.url) return children.find(f => (entry.name && f.name() === entry.name) || (entry.url && f.url() === entry.url));`,
+        `            return entry.index >= 0 ? children[entry.index] : undefined;`,
+        `        };`,
+        `        for (let i = 0; i < 50 && !match(); i++) await sleep(100);`,
+        `        if (!match()) throw new Error('Frame not found: ' + (entry.name || entry.url || '#' + entry.index));`,
+        `        frame = match();`,
+        `    }`,
+        `    return frame;`,
+        `}`,
+        ``,
+        `// 조건이 참이 될 때까지 반복 확인 (검증 단계)`,
+        `async function expectEventually(check, message, timeout = 5000) {`,
+        `    const deadline = Date.now() + timeout;`,
+        `    let actual;`,
+        `    while (true) {`,
+        `        const result = await check().catch(() => ({ pass: false }));`,
+        `        actual = result.actual;`,
+        `        if (result.pass) return;`,
+        `        if (Date.now() >= deadline) throw new Error(message + ' (actual: ' + JSON.stringify(actual) + ')');`,
+        `        await sleep(100);`,
+        `    }`,
+        `}`,
+        ``,
+        `// 재생 중 새로 열린 탭 대기`,
+        `async function waitForNewPage(browser, tabs) {`,
+        `    for (let i = 0; i < 50; i++) {`,
+        `        const known = Object.values(tabs);`,
+        `        const page = (await browser.pages()).find(p => !known.includes(p));`,
+        `        if (page) return page;`,
+        `        await sleep(100);`,
+        `    }`,
+        `    return null;`,
+        `}`,
+        ``,
+        SECRET_HELPER
+    ].join('\n'),
+
+    context(framePath) {
+        if (!Array.isArray(framePath) || framePath.length === 0) return 'current';
+        const path = framePath.map(f => ({ name: f.name, url: f.url, index: f.index }));
+        return `(await frameOf(current, ${q(path)}))`;
+    },
+
+    locator(ctx, candidate) {
+        return `${ctx}.locator(${q(PUPPETEER.selector(candidate))})`;
+    },
+
+    // 녹화 Selector 후보 → Puppeteer Selector (" >>> " 는 Puppeteer 에서도 shadow root 관통)
+    selector(candidate) {
+        const host = candidate.host ? candidate.host + ' >>> ' : '';
+        switch (candidate.type) {
+            case 'xpath': return `::-p-xpath(${candidate.value})`;
+            case 'text':  return `${host}${candidate.tagName || ''}::-p-text(${q(candidate.value)})`;
+            case 'label':
+            case 'aria':  return `${host}::-p-aria(${q(candidate.value)})`;
+            case 'pierce': return `pierce/${candidate.value}`;
+            default:      return candidate.value;
+        }
+    },
+
+    dblclick: (loc) => `await ${loc}.click({ count: 2 });`,
+
+    setChecked: (loc, checked) => [
+        `await (await ${loc}.waitHandle()).evaluate((el, checked) => {`,
+        `    if (el.checked !== checked) el.click();`,
+        `}, ${q(checked)});`
+    ],
+
+    change: (loc, value) => [
+        `{`,
+        `    const el = await ${loc}.waitHandle();`,
+        `    if (await el.evaluate(el => el.tagName === 'SELECT')) await el.select(${value});`,
+        `    else await el.evaluate((el, value) => { el.value = value; el.dispatchEvent(new Event('change', { bubbles: true })); }, ${value});`,
+        `}`
+    ],
+
+    keyboard(keys) {
+        const key = keys[keys.length - 1];
+        const modifiers = keys.slice(0, -1);
+        return [
+            ...modifiers.map(m => `await current.keyboard.down(${q(m)});`),
+            `await current.keyboard.press(${q(key)});`,
+            ...modifiers.slice().reverse().map(m => `await current.keyboard.up(${q(m)});`)
+        ];
+    },
+
+    scrollElement: (loc, x, y) => [`await ${loc}.scroll({ scrollLeft: ${x || 0}, scrollTop: ${y || 0} });`],
+
+    drag(loc, to, action) {
+        const lines = [
+            `{`,
+            `    const from = await (await ${loc}.waitHandle()).boundingBox();`,
+            `    await current.mouse.move(from.x + ${action.offsetX !== undefined ? action.offsetX : 'from.width / 2'}, from.y + ${action.offsetY !== undefined ? action.offsetY : 'from.height / 2'});`,
+            `    await current.mouse.down();`
+        ];
+        if (to) {
+            lines.push(`    const to = await (await ${to}.waitHandle()).boundingBox();`);
+            const toX = action.to.offsetX !== undefined ? action.to.offsetX : 'to.width / 2';
+            const toY = action.to.offsetY !== undefined ? action.to.offsetY : 'to.height / 2';
+            lines.push(`    await current.mouse.move(to.x + ${toX}, to.y + ${toY}, { steps: 10 });`);
+        } else {
+            lines.push(`    await current.mouse.move(${action.endX}, ${action.endY}, { steps: 10 });`);
+        }
+        lines.push(`    await current.mouse.up();`, `}`);
+        return lines;
+    },
+
+    upload: (loc, files) => [`await (await ${loc}.waitHandle()).uploadFile(${files.join(', ')});`],
+
+    // 녹화 값은 창 외곽 크기이므로 뷰포트 기준으로 근사
+    resize: (w, h) => `await current.setViewport({ width: ${w}, height: ${h} });`,
+
+    navigate(action) {
+        switch (action.kind) {
+            case 'back':    return [`await current.goBack();`];
+            case 'forward': return [`await current.goForward();`];
+            case 'reload':  return [`await current.reload();`];
+            case 'goto':    return [`await current.goto(${q(action.url)});`];
+            default:
+                // 직전 단계(클릭/제출)의 결과 → 도착 대기
+                return [`await current.waitForFunction((url) => location.href.split(/[?#]/)[0] === url, { timeout: 30000 }, ${q(String(action.url).split(/[?#]/)[0])});`];
+        }
+    },
+
+    tabOpen(action) {
+        const lines = [];
+        if (action.openerTabId) {
+            lines.push(`tabs[${q(action.tabId)}] = await waitForNewPage(browser, tabs) || await browser.newPage();`);
+        } else {
+            lines.push(`tabs[${q(action.tabId)}] = await browser.newPage();`);
+            if (action.url && action.url !== 'about:blank') lines.push(`await tabs[${q(action.tabId)}].goto(${q(action.url)});`);
+        }
+        return lines;
+    },
+
+    assertion(action, loc, value, ctx) {
+        const timeout = action.timeout || 5000;
+        const expected = value(action.expected);
+        const match = action.match || 'exact';
+        const compare = match === 'contains' ? 'String(actual).includes(expected)'
+            : match === 'regex' ? 'new RegExp(expected).test(String(actual))'
+            : 'actual === expected';
+        const label = `${action.type} ${action.selector || ''}`.trim();
+
+        const check = (expr) => [
+            `{`,
+            `    const expected = ${expected};`,
+            `    await expectEventually(async () => {`,
+            `        const actual = ${expr};`,
+            `        return { pass: ${compare}, actual };`,
+            `    }, ${q(label + ' failed')}, ${timeout});`,
+            `}`
+        ];
+
+        switch (action.type) {
+            case 'assert_url':
+                return check(`current.url()`);
+            case 'assert_text':
+                return check(`await (await ${loc}.waitHandle()).evaluate(el => (el.innerText || el.textContent || '').replace(/\\s+/g, ' ').trim())`);
+            case 'assert_value':
+                return check(`await (await ${loc}.waitHandle()).evaluate(el => (el.type === 'checkbox' || el.type === 'radio') ? el.checked : el.value)`);
+            case 'assert_count': {
+                const selector = q(PUPPETEER.selector(countSelector(action)));
+                return [
+                    `await expectEventually(async () => {`,
+                    `    const actual = (await ${ctx}.$$(${selector})).length;`,
+                    `    return { pass: actual === ${Number(action.expected)}, actual };`,
+                    `}, ${q(label + ' failed')}, ${timeout});`
+                ];
+            }
+            case 'assert_visible':
+                return [`await ${loc}.setVisibility('visible').setTimeout(${timeout}).wait();`];
+            case 'assert_hidden':
+                return [`await ${loc}.setVisibility('hidden').setTimeout(${timeout}).wait();`];
+        }
+        return [];
+    },
+
+    waitFor: (loc, visible, timeout) => `await ${loc}${visible ? `.setVisibility('visible')` : ''}.setTimeout(${timeout || 5000}).wait();`
+};
+
+// =====================================================================
+// Playwright
+// =====================================================================
+
+const PLAYWRIGHT = {
+    helpers: [
+        `const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));`,
+        ``,
+        `// Busy Indicator 가 사라질 때까지 대기`,
+        `async function waitForBusy(page) {`,
+        `    await page.waitForFunction((sel) => !Array.from(document.querySelectorAll(sel)).some(el => {`,
+        `        const style = window.getComputedStyle(el);`,
+        `        return style.display !== 'none' && style.visibility !== 'hidden' && !el.hidden;`,
+        `    }), BUSY_INDICATOR, { timeout: BUSY_TIMEOUT });`,
+        `}`,
+        ``,
+        `// 재생 중 새로 열린 탭 대기`,
+        `async function waitForNewPage(context, tabs) {`,
+        `    for (let i = 0; i < 50; i++) {`,
+        `        const known = Object.values(tabs);`,
+        `        const page = context.pages().find(p => !known.includes(p));`,
+        `        if (page) return page;`,
+        `        await sleep(100);`,
+        `    }`,
+        `    return null;`,
+        `}`,
+        ``,
+        SECRET_HELPER
+    ].join('\n'),
+
+    context(framePath) {
+        if (!Array.isArray(framePath) || framePath.length === 0) return 'current';
+        return framePath.reduce((ctx, f) => {
+            const sel = f.selector || (f.name ? `iframe[name=${q(f.name)}], frame[name=${q(f.name)}]` : `iframe >> nth=${Math.max(f.index, 0)}`);
+            return `${ctx}.frameLocator(${q(PLAYWRIGHT.css(sel))})`;
+        }, 'current');
+    },
+
+    // Playwright CSS 는 open shadow root 를 기본 관통하므로 체인은 하위 선택자로 연결
+    css: (selector) => String(selector).split(' >>> ').join(' '),
+
+    // all: 일치 요소 전체 (assert_count) - 재생 대상 하나로 좁히는 .first() 를 붙이지 않음
+    locator(ctx, candidate, all = false) {
+        const first = all ? '' : '.first()';
+        const base = candidate.host ? `${ctx}.locator(${q(PLAYWRIGHT.css(candidate.host))})` : ctx;
+        switch (candidate.type) {
+            case 'xpath': return `${base}.locator(${q('xpath=' + candidate.value)})`;
+            case 'text':  return `${base}.locator(${q(candidate.tagName || '*')}, { hasText: new RegExp(${q('^\\s*' + escapeRegExp(candidate.value) + '\\s*$')}) })${first}`;
+            case 'label': return `${base}.getByLabel(${q(candidate.value)}, { exact: true })`;
+            case 'aria': {
+                // DevTools Recorder 형식: "이름" 또는 "이름[role=\"button\"]"
+                const [, name, role] = candidate.value.match(/^(.*?)(?:\[role="([^"]+)"\])?$/);
+                if (role) return `${base}.getByRole(${q(role)}, { name: ${q(name)}, exact: true })`;
+                return `${base}.getByLabel(${q(name)}, { exact: true }).or(${base}.getByText(${q(name)}, { exact: true }))${first}`;
+            }
+            default:      return `${base}.locator(${q(PLAYWRIGHT.css(candidate.value))})`;
+        }
+    },
+
+    dblclick: (loc) => `await ${loc}.dblclick();`,
+
+    setChecked: (loc, checked) => [`await ${loc}.setChecked(${q(checked)});`],
+
+    change: (loc, value) => [
+        `if (await ${loc}.evaluate(el => el.tagName === 'SELECT')) await ${loc}.selectOption(${value});`,
+        `else await ${loc}.fill(${value});`
+    ],
+
+    keyboard: (keys) => [`await current.keyboard.press(${q(keys.join('+'))});`],
+
+    scrollElement: (loc, x, y) => [`await ${loc}.evaluate((el, [x, y]) => el.scrollTo(x, y), [${x || 0}, ${y || 0}]);`],
+
+    drag(loc, to, action) {
+        if (to) {
+            const position = (x, y) => (x !== undefined && y !== undefined) ? `{ x: ${x}, y: ${y} }` : 'undefined';
+            const source = position(action.offsetX, action.offsetY);
+            const target = position(action.to.offsetX, action.to.offsetY);
+            return [`await ${loc}.dragTo(${to}, { sourcePosition: ${source}, targetPosition: ${target} });`];
+        }
+        return [
+            `await ${loc}.hover();`,
+            `await current.mouse.down();`,
+            `await current.mouse.move(${action.endX}, ${action.endY}, { steps: 10 });`,
+            `await current.mouse.up();`
+        ];
+    },
+
+    upload: (loc, files) => [`await ${loc}.setInputFiles([${files.join(', ')}]);`],
+
+    // 녹화 값은 창 외곽 크기이므로 뷰포트 기준으로 근사
+    resize: (w, h) => `await current.setViewportSize({ width: ${w}, height: ${h} });`,
+
+    navigate(action) {
+        switch (action.kind) {
+            case 'back':    return [`await current.goBack();`];
+            case 'forward': return [`await current.goForward();`];
+            case 'reload':  return [`await current.reload();`];
+            case 'goto':    return [`await current.goto(${q(action.url)});`];
+            default: {
+                // 직전 단계(클릭/제출)의 결과 → 도착 대기 (query/hash 무시)
+                const base = String(action.url).split(/[?#]/)[0];
+                return [`await current.waitForURL((url) => url.href.split(/[?#]/)[0] === ${q(base)}, { timeout: 30000 });`];
+            }
+        }
+    },
+
+    tabOpen(action) {
+        if (action.openerTabId) {
+            return [`tabs[${q(action.tabId)}] = await waitForNewPage(context, tabs) || await context.newPage();`];
+        }
+        const lines = [`tabs[${q(action.tabId)}] = await context.newPage();`];
+        if (action.url && action.url !== 'about:blank') lines.push(`await tabs[${q(action.tabId)}].goto(${q(action.url)});`);
+        return lines;
+    },
+
+    assertion(action, loc, value) {
+        const opts = `{ timeout: ${action.timeout || 5000} }`;
+        const match = action.match || 'exact';
+        const expected = value(action.expected);
+        const pattern = match === 'regex' ? `new RegExp(${expected})` : null;
+
+        switch (action.type) {
+            case 'assert_url':
+                if (match === 'contains') return [`await expect(current).toHaveURL(new RegExp(${q(escapeRegExp(action.expected))}), ${opts});`];
+                return [`await expect(current).toHaveURL(${pattern || expected}, ${opts});`];
+            case 'assert_text':
+                if (match === 'contains') return [`await expect(${loc}).toContainText(${expected}, ${opts});`];
+                return [`await expect(${loc}).toHaveText(${pattern || expected}, ${opts});`];
+            case 'assert_value':
+                if (typeof action.expected === 'boolean') {
+                    return [`await expect(${loc}).${action.expected ? 'toBeChecked' : 'not.toBeChecked'}(${opts});`];
+                }
+                if (match === 'contains') return [`await expect(${loc}).toHaveValue(new RegExp(${q(escapeRegExp(action.expected))}), ${opts});`];
+                return [`await expect(${loc}).toHaveValue(${pattern || expected}, ${opts});`];
+            case 'assert_count':
+                return [`await expect(${loc}).toHaveCount(${Number(action.expected)}, ${opts});`];
+            case 'assert_visible':
+                return [`await expect(${loc}).toBeVisible(${opts});`];
+            case 'assert_hidden':
+                return [`await expect(${loc}).toBeHidden(${opts});`];
+        }
+        return [];
+    },
+
+    waitFor: (loc, visible, timeout) => `await ${loc}.waitFor({ state: ${q(visible ? 'visible' : 'attached')}, timeout: ${timeout || 5000} });`
+};
+
+module.exports = CodeGenerator;
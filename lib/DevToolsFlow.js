@@ -0,0 +1,511 @@
+/**
+ * Chrome DevTools Recorder "user flow" JSON ↔ 녹화 문서 변환 모듈
+ *
+ * DevTools Recorder user flow
+ * {
+ *   title: '...',
+ *   steps: [ { type: 'setViewport' | 'navigate' | 'click' | 'doubleClick' | 'hover' | 'change' | 'keyDown' | 'keyUp'
+ *                    | 'scroll' | 'waitForElement' | 'waitForExpression' | 'close' | 'customStep',
+ *              selectors: [ ['#a'], ['aria/저장'], ['xpath//*[@id="a"]'], ['my-app', '#inner'] ],
+ *              target: 'main' | 팝업 URL, frame: [0, 1], assertedEvents: [{ type: 'navigation', url }], ... } ]
+ * }
+ *
+ * - Selector 배열의 각 항목은 shadow root 를 관통하는 체인이며 ' >>> ' 체인과 1:1 로 대응한다.
+ * - 접두사 Selector (aria/, xpath/, pierce/, text/) 는 Selector 후보 타입으로 변환한다.
+ * - DevTools 에 대응 단계가 없는 액션(marker, file_upload, drag 등)은 customStep('u4a:<type>') 으로 보존한다.
+ * - DevTools flow 에는 시각 정보가 없으므로 가져올 때 stepInterval 간격의 timestamp 를 부여한다.
+ * - setViewport 는 뷰포트(창 내부) 크기이므로, 내보낼 때는 녹화 환경의 창 테두리 크기를 빼고
+ *   가져올 때는 browser_resize 의 viewportWidth/viewportHeight 로 기록한다. (Replayer 가 창 크기로 환산)
+ * - 비밀 값 자리표시자("{{secret:이름}}")는 DevTools 재생 시 문자 그대로 입력되므로,
+ *   포함된 녹화는 기본적으로 내보내지 않는다. (option.allowSecrets 로 자리표시자 그대로 내보내기)
+ */
+
+const { SCHEMA_VERSION, migrateRecording } = require('./RecordingSchema');
+const { hasSecret } = require('./SecretProvider');
+
+const CUSTOM_STEP_PREFIX = 'u4a:';
+const MAIN_TARGET = 'main';
+const MAIN_TAB_ID = 'tab-0';
+const MODIFIER_KEYS = ['Control', 'Alt', 'Meta', 'Shift'];
+
+// 가져온 Selector 후보 시도 순서 (Replayer 근사 탐색인 aria/text 는 뒤로)
+const CANDIDATE_ORDER = ['id', 'attribute', 'css', 'pierce', 'xpath', 'label', 'aria', 'text'];
+
+// 내보낸 waitForExpression 을 다시 가져올 때 인식하는 형태
+const WAIT_MS_EXPRESSION = /^new Promise\(resolve => setTimeout\(\(\) => resolve\(true\), (\d+)\)\)$/;
+const URL_EXPRESSION = /^location\.href === (".*")$/;
+
+// =====================================================================
+// 녹화 문서 → DevTools
+// =====================================================================
+
+/**
+ * 녹화 문서 → DevTools Recorder user flow
+ * @param {Object} recordData - 녹화 문서 (이전 평면 형식 포함)
+ * @param {Object} [option]
+ * @param {string} [option.title] - flow 제목 (기본: "<type> <url>")
+ * @param {boolean} [option.allowSecrets=false] - 비밀 값 자리표시자를 그대로 내보내기 (DevTools 재생 전 실제 값으로 바꿔야 함)
+ * @returns {{title: string, steps: Array<Object>, skippedActions: Array<{index: number, type: string, reason: string}>}}
+ *          skippedActions: 대응 단계 없이 생략된 액션 (DevTools 는 추가 속성을 무시함)
+ * @throws {Error} 비밀 값 자리표시자가 포함된 경우 (allowSecrets 미사용 시)
+ */
+function toDevToolsFlow(recordData, option = {}) {
+    const recording = migrateRecording(recordData);
+    const metadata = recording.metadata || {};
+    const actions = recording.actions || [];
+    const environment = recording.environment || {};
+    const steps = [];
+    const skippedActions = [];
+
+    if (!option.allowSecrets) {
+        const secretIndexes = actions
+            .map((action, index) => (action.secret || hasSecret(action.value) || hasSecret(action.expected)) ? index : -1)
+            .filter(index => index >= 0);
+        if (secretIndexes.length > 0) {
+            throw new Error(`[DevToolsFlow] 비밀 값("{{secret:이름}}")이 포함된 단계는 DevTools 에서 문자 그대로 입력되므로 내보낼 수 없습니다. (actions[${secretIndexes.join(', ')}], option.allowSecrets 로 허용)`);
+        }
+    }
+
+    // 탭 → DevTools target (첫 탭은 main, 그 외는 탭의 현재 URL)
+    const firstTab = actions.find(a => a.tabId);
+    const mainTabId = firstTab ? firstTab.tabId : MAIN_TAB_ID;
+    const tabUrls = new Map([[mainTabId, metadata.url]]);
+    const targetOf = (tabId) => (!tabId || tabId === mainTabId) ? MAIN_TARGET : (tabUrls.get(tabId) || MAIN_TARGET);
+
+    // 시작 창 크기 + 시작 페이지
+    const initialResize = actions.find(a => a.type === 'browser_resize');
+    if (initialResize) steps.push(toViewportStep(initialResize, environment));
+    const firstStep = actions.find(a => a !== initialResize);
+    if (metadata.url && !(firstStep && firstStep.type === 'navigate' && firstStep.userInitiated)) {
+        steps.push({ type: 'navigate', url: metadata.url, assertedEvents: [{ type: 'navigation', url: metadata.url, title: '' }] });
+    }
+
+    actions.forEach((action, index) => {
+        if (action === initialResize) return;
+
+        // 탭 전환 자체는 다음 단계의 target 으로만 표현됨 (전환만 하고 끝나거나 bringToFront 에 의존하는 흐름은 재현되지 않음)
+        if (action.type === 'tab_switch') {
+            skippedActions.push({ index, type: action.type, reason: 'DevTools flow 에는 탭 전환 단계가 없습니다. (이후 단계의 target 으로만 표현)' });
+            return;
+        }
+
+        // 페이지 내 동작의 결과인 네비게이션은 직전 단계의 assertedEvents 로 기록
+        if (action.type === 'navigate') {
+            if (action.tabId) tabUrls.set(action.tabId, action.url);
+            const prev = steps[steps.length - 1];
+            if (!action.userInitiated && prev && prev.type !== 'navigate' && (prev.target || MAIN_TARGET) === targetOf(action.tabId)) {
+                prev.assertedEvents = [...(prev.assertedEvents || []), { type: 'navigation', url: action.url, title: '' }];
+                return;
+            }
+        }
+        if (action.type === 'tab_open') tabUrls.set(action.tabId, action.url);
+
+        toDevToolsSteps(action, environment).forEach((step) => {
+            const target = targetOf(action.tabId);
+            if (target !== MAIN_TARGET) step.target = target;
+            steps.push(step);
+        });
+    });
+
+    return {
+        title: option.title || `${metadata.type || 'web'} ${metadata.url || ''}`.trim(),
+        steps,
+        skippedActions
+    };
+}
+
+/**
+ * [내부] 액션 1개 → DevTools 단계 (0개 이상)
+ */
+function toDevToolsSteps(action, environment) {
+    const selectors = () => toDevToolsSelectors(action);
+    const withFrame = (step) => {
+        const frame = toDevToolsFrame(action.framePath);
+        if (frame) step.frame = frame;
+        return step;
+    };
+    const offsets = (step) => {
+        if (action.offsetX !== undefined && action.offsetY !== undefined) {
+            step.offsetX = action.offsetX;
+            step.offsetY = action.offsetY;
+        }
+        return step;
+    };
+
+    switch (action.type) {
+        case 'click':
+            return [withFrame(offsets({ type: 'click', selectors: selectors() }))];
+
+        case 'dblclick':
+            return [withFrame(offsets({ type: 'doubleClick', selectors: selectors() }))];
+
+        case 'contextmenu':
+            return [withFrame(offsets({ type: 'click', button: 'secondary', selectors: selectors() }))];
+
+        case 'hover':
+            return [withFrame({ type: 'hover', selectors: selectors() })];
+
+        case 'input':
+            return [withFrame({ type: 'change', value: action.value || '', selectors: selectors() })];
+
+        case 'change':
+            // 체크박스/라디오는 click 단계로 이미 기록됨
+            if (action.checked !== undefined) return [];
+            return [withFrame({ type: 'change', value: action.value || '', selectors: selectors() })];
+
+        case 'keydown': {
+            const modifiers = action.modifiers || [];
+            return [
+                ...modifiers.map(key => ({ type: 'keyDown', key })),
+                { type: 'keyDown', key: action.key },
+                { type: 'keyUp', key: action.key },
+                ...modifiers.slice().reverse().map(key => ({ type: 'keyUp', key }))
+            ];
+        }
+
+        case 'scroll': {
+            const step = { type: 'scroll', x: action.scrollX, y: action.scrollY };
+            if (action.selector !== 'window') step.selectors = selectors();
+            return [withFrame(step)];
+        }
+
+        case 'browser_resize':
+            return [toViewportStep(action, environment)];
+
+        case 'navigate':
+            if (action.kind === 'reload' || action.kind === 'goto' || !action.kind || !action.userInitiated) {
+                return [{ type: 'navigate', url: action.url, assertedEvents: [{ type: 'navigation', url: action.url, title: '' }] }];
+            }
+            return [toCustomStep(action)];   // back/forward
+
+        case 'tab_close':
+            return [{ type: 'close' }];
+
+        case 'assert_visible':
+            return [withFrame(waitForElement(action, { visible: true }))];
+
+        case 'assert_hidden':
+            return [withFrame(waitForElement(action, { visible: false }))];
+
+        case 'wait_for_selector':
+            return [withFrame(waitForElement(action, action.visible ? { visible: true } : {}))];
+
+        case 'assert_count':
+            return [withFrame(waitForElement(action, { count: Number(action.expected), operator: '==' }))];
+
+        case 'assert_text':
+            if ((action.match || 'exact') !== 'exact') return [toCustomStep(action)];
+            return [withFrame(waitForElement(action, { properties: { innerText: action.expected } }))];
+
+        case 'assert_value': {
+            if ((action.match || 'exact') !== 'exact') return [toCustomStep(action)];
+            const property = typeof action.expected === 'boolean' ? 'checked' : 'value';
+            return [withFrame(waitForElement(action, { properties: { [property]: action.expected } }))];
+        }
+
+        case 'assert_url':
+            if ((action.match || 'exact') !== 'exact') return [toCustomStep(action)];
+            return [{ type: 'waitForExpression', expression: `location.href === ${JSON.stringify(action.expected)}` }];
+
+        case 'wait_ms':
+            return [{ type: 'waitForExpression', expression: `new Promise(resolve => setTimeout(() => resolve(true), ${Number(action.duration) || 0}))` }];
+
+        // tab_open 은 target 으로 표현 (tab_switch 는 toDevToolsFlow 에서 skippedActions 로 보고)
+        case 'tab_open':
+            return [];
+
+        default:
+            return [toCustomStep(action)];
+    }
+}
+
+/**
+ * [내부] browser_resize → setViewport (창 크기가 아닌 뷰포트 크기)
+ * - viewportWidth/viewportHeight 가 없는 이전 녹화는 녹화 환경의 창 테두리 크기(window - viewport)를 빼서 계산한다.
+ */
+function toViewportStep(action, environment = {}) {
+    const { window: win, viewport } = environment;
+    const border = win && viewport
+        ? { width: win.width - viewport.width, height: win.height - viewport.height }
+        : { width: 0, height: 0 };
+
+    return {
+        type: 'setViewport',
+        width: action.viewportWidth ?? action.toWidth - border.width,
+        height: action.viewportHeight ?? action.toHeight - border.height,
+        deviceScaleFactor: (viewport && viewport.deviceScaleFactor) || 1,
+        isMobile: false,
+        hasTouch: false,
+        isLandscape: false
+    };
+}
+
+function waitForElement(action, extra) {
+    const step = { type: 'waitForElement', selectors: toDevToolsSelectors(action), ...extra };
+    if (action.timeout) step.timeout = action.timeout;
+    return step;
+}
+
+function toCustomStep(action) {
+    const { type, ...parameters } = action;
+    return { type: 'customStep', name: CUSTOM_STEP_PREFIX + type, parameters };
+}
+
+/**
+ * [내부] Selector 후보 → DevTools Selector 배열
+ */
+function toDevToolsSelectors(action) {
+    const candidates = Array.isArray(action.selectors) && action.selectors.length > 0
+        ? action.selectors
+        : [{ type: 'css', value: action.selector }];
+
+    const chain = (selector) => String(selector).split(' >>> ');
+    const prefixed = (candidate, prefix) => [...(candidate.host ? chain(candidate.host) : []), prefix + candidate.value];
+
+    return candidates.filter(c => c.value).map((candidate) => {
+        switch (candidate.type) {
+            case 'xpath':  return ['xpath/' + candidate.value];
+            case 'pierce': return ['pierce/' + candidate.value];
+            case 'text':   return prefixed(candidate, 'text/');
+            case 'label':
+            case 'aria':   return prefixed(candidate, 'aria/');
+            default:       return chain(candidate.value);
+        }
+    });
+}
+
+function toDevToolsFrame(framePath) {
+    if (!Array.isArray(framePath) || framePath.length === 0) return null;
+    if (framePath.some(f => !(f.index >= 0))) return null;
+    return framePath.map(f => f.index);
+}
+
+// =====================================================================
+// DevTools → 녹화 문서
+// =====================================================================
+
+/**
+ * DevTools Recorder user flow → 녹화 문서 (schemaVersion 2)
+ * - 변환할 수 없는 단계는 metadata.skippedSteps 에 기록하고 건너뛴다.
+ * @param {Object|string} flow - user flow 객체 또는 JSON 문자열
+ * @param {Object} [option]
+ * @param {string} [option.type='web'] - metadata.type
+ * @param {number} [option.startTime=Date.now()] - 첫 단계 timestamp
+ * @param {number} [option.stepInterval=500] - 단계 간 timestamp 간격(ms)
+ * @returns {Object} 녹화 문서
+ */
+function fromDevToolsFlow(flow, option = {}) {
+    if (typeof flow === 'string') flow = JSON.parse(flow);
+    if (!flow || !Array.isArray(flow.steps)) {
+        throw new Error('[DevToolsFlow] 유효한 DevTools Recorder flow 가 아닙니다. (steps 배열 없음)');
+    }
+
+    const stepInterval = option.stepInterval !== undefined ? option.stepInterval : 500;
+    const startTime = option.startTime || Date.now();
+    let timestamp = startTime;
+
+    const actions = [];
+    const skippedSteps = [];
+    const targets = new Map([[MAIN_TARGET, MAIN_TAB_ID]]);   // DevTools target → tabId
+    let tabSeq = 0;   // 닫힌 탭의 tabId 를 다시 쓰지 않도록 단조 증가
+    let activeTabId = MAIN_TAB_ID;
+    let heldModifiers = [];
+    let url = null;
+
+    const push = (action) => {
+        actions.push({ ...action, tabId: action.tabId || activeTabId, timestamp });
+    };
+
+    flow.steps.forEach((step, index) => {
+        timestamp += stepInterval;
+
+        // 탭 전환 (target 이 바뀌면 tab_open / tab_switch)
+        const target = step.target || MAIN_TARGET;
+        if (!targets.has(target)) {
+            const tabId = `tab-${++tabSeq}`;
+            targets.set(target, tabId);
+            push({ type: 'tab_open', tabId, url: target, openerTabId: activeTabId });
+            activeTabId = tabId;
+        } else if (targets.get(target) !== activeTabId) {
+            const tabId = targets.get(target);
+            push({ type: 'tab_switch', tabId, fromTabId: activeTabId });
+            activeTabId = tabId;
+        }
+
+        const converted = fromDevToolsStep(step, heldModifiers);
+        if (converted.error) {
+            skippedSteps.push({ index, type: step.type, reason: converted.error });
+            return;
+        }
+        heldModifiers = converted.heldModifiers || heldModifiers;
+
+        converted.actions.forEach((action) => {
+            if (action.type === 'navigate' && !url) url = action.url;
+            push(action);
+        });
+
+        // 단계 실행 결과로 발생한 네비게이션
+        (step.assertedEvents || []).forEach((event) => {
+            if (event.type !== 'navigation' || !event.url || step.type === 'navigate') return;
+            push({ type: 'navigate', url: event.url, kind: 'link', userInitiated: false });
+        });
+
+        if (step.type === 'close') {
+            targets.delete(target);
+            activeTabId = MAIN_TAB_ID;
+        }
+    });
+
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        metadata: {
+            type: option.type || 'web',
+            url: url,
+            title: flow.title,
+            source: 'devtools-recorder',
+            recordingStartTime: new Date(startTime).toISOString(),
+            recordingEndTime: new Date(timestamp + stepInterval).toISOString(),
+            durationMs: timestamp + stepInterval - startTime,
+            pauses: [],
+            skippedSteps
+        },
+        actions,
+        errors: [],
+        environment: {}
+    };
+}
+
+/**
+ * [내부] DevTools 단계 1개 → 액션 (0개 이상)
+ * @returns {{actions: Array<Object>, heldModifiers?: string[]} | {error: string}}
+ */
+function fromDevToolsStep(step, heldModifiers) {
+    const target = () => {
+        const selectors = fromDevToolsSelectors(step.selectors);
+        // selector 는 CSS 로 사용되므로 css 후보만 (aria/text/xpath/pierce 뿐이면 없음)
+        const css = selectors.find(candidate => candidate.type === 'css');
+        const action = { selector: css ? css.value : undefined, selectors };
+        if (Array.isArray(step.frame) && step.frame.length > 0) {
+            action.framePath = step.frame.map(index => ({ name: null, url: null, index, selector: null }));
+        }
+        return action;
+    };
+    const offsets = () => (step.offsetX !== undefined && step.offsetY !== undefined)
+        ? { offsetX: step.offsetX, offsetY: step.offsetY }
+        : {};
+    const timeout = step.timeout ? { timeout: step.timeout } : {};
+
+    switch (step.type) {
+        case 'setViewport':
+            // 창 크기는 알 수 없으므로 뷰포트 크기로 채우고, Replayer 는 viewportWidth/viewportHeight 기준으로 창 크기를 맞춘다
+            return { actions: [{
+                type: 'browser_resize',
+                toWidth: step.width,
+                toHeight: step.height,
+                viewportWidth: step.width,
+                viewportHeight: step.height
+            }] };
+
+        case 'navigate':
+            return { actions: [{ type: 'navigate', url: step.url, kind: 'goto', userInitiated: true }] };
+
+        case 'click':
+            if (step.button === 'secondary') return { actions: [{ type: 'contextmenu', ...target(), ...offsets() }] };
+            if (step.button === 'auxiliary' || step.button === 'back' || step.button === 'forward') {
+                return { error: `지원하지 않는 마우스 버튼입니다: ${step.button}` };
+            }
+            return { actions: [{ type: 'click', ...target(), ...offsets() }] };
+
+        case 'doubleClick':
+            return { actions: [{ type: 'dblclick', ...target(), ...offsets() }] };
+
+        case 'hover':
+            return { actions: [{ type: 'hover', ...target() }] };
+
+        case 'change':
+            return { actions: [{ type: 'change', ...target(), value: step.value }] };
+
+        case 'keyDown':
+            if (MODIFIER_KEYS.includes(step.key)) {
+                return { actions: [], heldModifiers: [...heldModifiers.filter(k => k !== step.key), step.key] };
+            }
+            return { actions: [{ type: 'keydown', selector: 'body', key: step.key, ...(heldModifiers.length > 0 ? { modifiers: heldModifiers.slice() } : {}) }] };
+
+        case 'keyUp':
+            return { actions: [], heldModifiers: heldModifiers.filter(k => k !== step.key) };
+
+        case 'scroll':
+            if (Array.isArray(step.selectors) && step.selectors.length > 0) {
+                return { actions: [{ type: 'scroll', ...target(), scrollX: step.x || 0, scrollY: step.y || 0 }] };
+            }
+            return { actions: [{ type: 'scroll', selector: 'window', scrollX: step.x || 0, scrollY: step.y || 0 }] };
+
+        case 'waitForElement': {
+            const properties = step.properties || {};
+            if (step.visible === false) return { actions: [{ type: 'assert_hidden', ...target(), ...timeout }] };
+            if (step.count !== undefined) {
+                if ((step.operator || '==') !== '==') return { error: `지원하지 않는 count 비교 연산자입니다: ${step.operator}` };
+                return { actions: [{ type: 'assert_count', ...target(), expected: step.count, ...timeout }] };
+            }
+            if (properties.innerText !== undefined) {
+                return { actions: [{ type: 'assert_text', ...target(), expected: properties.innerText, ...timeout }] };
+            }
+            if (properties.value !== undefined || properties.checked !== undefined) {
+                const expected = properties.value !== undefined ? properties.value : properties.checked;
+                return { actions: [{ type: 'assert_value', ...target(), expected, ...timeout }] };
+            }
+            if (Object.keys(properties).length > 0 || step.attributes) {
+                return { error: 'properties/attributes 조건은 innerText, value, checked 만 지원합니다.' };
+            }
+            return { actions: [{ type: 'assert_visible', ...target(), ...timeout }] };
+        }
+
+        case 'waitForExpression': {
+            const expression = String(step.expression || '').trim();
+            const waitMs = expression.match(WAIT_MS_EXPRESSION);
+            if (waitMs) return { actions: [{ type: 'wait_ms', duration: Number(waitMs[1]) }] };
+            const urlMatch = expression.match(URL_EXPRESSION);
+            if (urlMatch) return { actions: [{ type: 'assert_url', expected: JSON.parse(urlMatch[1]), ...timeout }] };
+            return { error: '임의 JavaScript 식(waitForExpression)은 지원하지 않습니다.' };
+        }
+
+        case 'close':
+            return { actions: [{ type: 'tab_close' }] };
+
+        case 'customStep':
+            if (typeof step.name === 'string' && step.name.startsWith(CUSTOM_STEP_PREFIX)) {
+                return { actions: [{ ...(step.parameters || {}), type: step.name.slice(CUSTOM_STEP_PREFIX.length) }] };
+            }
+            return { error: `알 수 없는 customStep 입니다: ${step.name}` };
+
+        default:
+            return { error: `지원하지 않는 단계 타입입니다: ${step.type}` };
+    }
+}
+
+/**
+ * [내부] DevTools Selector 배열 → Selector 후보
+ */
+function fromDevToolsSelectors(selectors) {
+    if (!Array.isArray(selectors)) return [];
+
+    const candidates = selectors.map((entry) => {
+        const parts = Array.isArray(entry) ? entry : [entry];
+        const last = String(parts[parts.length - 1]);
+        const host = parts.length > 1 ? parts.slice(0, -1).join(' >>> ') : null;
+        const withHost = (candidate) => host ? { ...candidate, host } : candidate;
+
+        if (last.startsWith('aria/'))   return withHost({ type: 'aria', value: last.slice(5) });
+        if (last.startsWith('text/'))   return withHost({ type: 'text', value: last.slice(5) });
+        if (last.startsWith('xpath/'))  return { type: 'xpath', value: last.slice(6) };
+        if (last.startsWith('pierce/')) return { type: 'pierce', value: last.slice(7) };
+        return { type: 'css', value: parts.join(' >>> ') };
+    });
+
+    return candidates
+        .map((candidate, i) => ({ candidate, i }))
+        .sort((a, b) => (CANDIDATE_ORDER.indexOf(a.candidate.type) - CANDIDATE_ORDER.indexOf(b.candidate.type)) || (a.i - b.i))
+        .map(({ candidate }) => candidate);
+}
+
+module.exports = { toDevToolsFlow, fromDevToolsFlow };
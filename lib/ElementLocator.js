@@ -0,0 +1,333 @@
+/**
+ * Replayer 요소 탐색 모듈
+ * - 녹화 시 수집된 Selector 후보(action.selectors)를 순서대로 시도하여 요소를 찾는다.
+ * - 후보가 없는 구버전 데이터는 action.selector 단일 값으로 탐색한다.
+ * - iframe 내부 액션은 녹화된 프레임 경로(action.framePath)로 대상 프레임을 먼저 찾는다.
+ * - shadow root 내부 요소는 ' >>> ' 로 연결된 Selector 체인(호스트 → 내부 순)으로 찾는다.
+ * - DevTools Recorder 에서 가져온 aria/pierce 후보는 접근성 이름 / 모든 shadow root 관통 탐색으로 찾는다.
+ */
+
+const ELEMENT_NOT_FOUND = 'ELEMENT_NOT_FOUND';
+const FRAME_NOT_FOUND = 'FRAME_NOT_FOUND';
+
+/**
+ * [브라우저 실행] 후보 목록 중 처음으로 매칭되는 요소 검색
+ * - page.evaluateHandle 로 직렬화되어 실행되므로 외부 변수를 참조하지 않는다.
+ * - countOnly: 요소 대신 일치 요소 개수를 반환한다. (assert_count 는 후보 1개만 전달, page.evaluate 용)
+ * @returns {{ element: Element|null, index: number } | { count: number, index: number }}
+ */
+function findElement(candidates, countOnly = false) {
+    const normalizeText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+    // "host >>> inner" : 각 단계의 shadow root 안에서 다음 Selector 를 찾는다 (마지막 단계는 전체)
+    const queryDeep = (selector) => {
+        const parts = selector.split(' >>> ');
+        let root = document;
+        for (let i = 0; i < parts.length - 1; i++) {
+            const host = root.querySelector(parts[i]);
+            if (!host || !host.shadowRoot) return [];
+            root = host.shadowRoot;
+        }
+        return Array.from(root.querySelectorAll(parts[parts.length - 1]));
+    };
+
+    // label/text 후보의 검색 범위 (host 가 있으면 해당 shadow root)
+    const getRoot = (candidate) => {
+        if (!candidate.host) return document;
+        const host = queryDeep(candidate.host)[0];
+        return host ? host.shadowRoot : null;
+    };
+
+    const byLabel = (root, text) => {
+        const matches = [];
+        for (const label of root.querySelectorAll('label')) {
+            if (label.control && normalizeText(label.innerText) === text) matches.push(label.control);
+        }
+        for (const el of root.querySelectorAll('[aria-labelledby]')) {
+            const labelEl = root.getElementById(el.getAttribute('aria-labelledby').split(/\s+/)[0]);
+            if (labelEl && normalizeText(labelEl.innerText) === text) matches.push(el);
+        }
+        return matches;
+    };
+
+    const byText = (root, tagName, text) => {
+        return Array.from(root.querySelectorAll(tagName || '*')).filter(el => normalizeText(el.innerText) === text);
+    };
+
+    // 모든 shadow root 를 포함한 문서 전체 탐색 (DevTools Recorder 의 pierce/ Selector)
+    const queryPierce = (root, selector) => {
+        const matches = Array.from(root.querySelectorAll(selector));
+        for (const el of root.querySelectorAll('*')) {
+            if (el.shadowRoot) matches.push(...queryPierce(el.shadowRoot, selector));
+        }
+        return matches;
+    };
+
+    // 접근성 이름 근사 (DevTools Recorder 의 aria/ Selector: "이름" 또는 "이름[role=\"button\"]")
+    const byAria = (root, value) => {
+        const match = value.match(/^(.*?)(?:\[role="([^"]+)"\])?$/);
+        const name = normalizeText(match[1]);
+        const role = match[2];
+        const accessibleName = (el) => {
+            if (el.getAttribute('aria-label')) return el.getAttribute('aria-label');
+            if (el.getAttribute('aria-labelledby')) {
+                const labelEl = root.getElementById(el.getAttribute('aria-labelledby').split(/\s+/)[0]);
+                if (labelEl) return labelEl.innerText;
+            }
+            if (el.labels && el.labels.length > 0) return el.labels[0].innerText;
+            return el.getAttribute('alt') || el.getAttribute('title') || el.innerText;
+        };
+        return Array.from(root.querySelectorAll(role ? `[role="${role}"], ${role}` : '*'))
+            .filter(el => normalizeText(accessibleName(el)) === name);
+    };
+
+    // 텍스트만 같은 상위 컨테이너보다 역할이 있는 요소 우선
+    const isInteractive = (el) => el.matches('button, a, input, select, textarea, [role], [aria-label]');
+
+    const findAll = (candidate) => {
+        switch (candidate.type) {
+            case 'aria': {
+                const root = getRoot(candidate);
+                return root ? byAria(root, candidate.value) : [];
+            }
+            case 'pierce':
+                return queryPierce(document, candidate.value);
+            case 'xpath': {
+                const result = document.evaluate(candidate.value, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+                const nodes = [];
+                for (let i = 0; i < result.snapshotLength; i++) nodes.push(result.snapshotItem(i));
+                return nodes;
+            }
+            case 'label': {
+                const root = getRoot(candidate);
+                return root ? byLabel(root, candidate.value) : [];
+            }
+            case 'text': {
+                const root = getRoot(candidate);
+                return root ? byText(root, candidate.tagName, candidate.value) : [];
+            }
+            default:
+                return queryDeep(candidate.value);
+        }
+    };
+
+    // 대표 요소 1개
+    const pick = (candidate, matches) => {
+        if (candidate.type !== 'aria') return matches[0];
+        return matches.find(isInteractive) || matches[matches.length - 1];
+    };
+
+    // 일치 요소 개수 (label 은 중복 제외, aria/text 는 같은 텍스트의 상위 컨테이너 중복을 제외)
+    const countOf = (candidate, matches) => {
+        matches = Array.from(new Set(matches));
+        if (candidate.type !== 'aria' && candidate.type !== 'text') return matches.length;
+        if (candidate.type === 'aria' && matches.some(isInteractive)) return matches.filter(isInteractive).length;
+        return matches.filter(el => !matches.some(other => other !== el && el.contains(other))).length;
+    };
+
+    for (let i = 0; i < candidates.length; i++) {
+        try {
+            const matches = findAll(candidates[i]).filter(el => el && el.nodeType === 1);
+            if (matches.length === 0) continue;
+            if (countOnly) return { count: countOf(candidates[i], matches), index: i };
+            return { element: pick(candidates[i], matches), index: i };
+        } catch (e) {
+            // 잘못된 Selector 는 다음 후보로 넘어간다
+        }
+    }
+    return countOnly ? { count: 0, index: -1 } : { element: null, index: -1 };
+}
+
+class ElementLocator {
+
+    /**
+     * @param {Object} [option]
+     * @param {number} [option.interval=100] - 재탐색 간격(ms)
+     */
+    constructor(option = {}) {
+        this.interval = option.interval || 100;
+    }
+
+    /**
+     * 액션의 Selector 후보 목록
+     * @param {Object} action
+     * @returns {Array<{type: string, value: string}>}
+     */
+    static getCandidates(action) {
+        if (Array.isArray(action.selectors) && action.selectors.length > 0) {
+            return action.selectors;
+        }
+        if (action.selector) {
+            return [{ type: 'css', value: action.selector }];
+        }
+        return [];
+    }
+
+    /**
+     * assert_count 의 개수 기준 후보 (Fallback 없이 이 후보 1개로만 센다)
+     * - 후보에 따라 결과가 달라지지 않도록: 녹화된 selector(css) → 유일하지 않은 최상위 후보 → 최상위 후보
+     * @param {Object} action
+     * @returns {{type: string, value: string}|null}
+     */
+    static getCountCandidate(action) {
+        if (action.selector) return { type: 'css', value: action.selector };
+        const candidates = ElementLocator.getCandidates(action);
+        return candidates.find(c => c.unique === false) || candidates[0] || null;
+    }
+
+    /**
+     * 요소 탐색 (timeout 까지 반복)
+     * @param {Page|Frame} context - Puppeteer Page 또는 Frame
+     * @param {Object} action - 녹화된 액션
+     * @param {number} [timeout=5000]
+     * @returns {Promise<{handle: ElementHandle, candidate: Object, index: number}>}
+     */
+    async locate(context, action, timeout = 5000) {
+        const candidates = ElementLocator.getCandidates(action);
+        const deadline = Date.now() + timeout;
+
+        if (candidates.length > 0) {
+            while (true) {
+                const found = await this._find(context, candidates);
+                if (found) return found;
+                if (Date.now() >= deadline) break;
+                await new Promise(resolve => setTimeout(resolve, this.interval));
+            }
+        }
+
+        const tried = candidates.map(c => `${c.type}:${c.value}`).join(' | ') || '(selector 없음)';
+        const error = new Error(`Element not found (${timeout}ms): ${tried}`);
+        error.code = ELEMENT_NOT_FOUND;
+        throw error;
+    }
+
+    /**
+     * Selector 일치 요소 개수 (getCountCandidate 후보 기준, 다른 후보로 Fallback 하지 않음)
+     * @param {Page|Frame} context
+     * @param {Object} action
+     * @returns {Promise<number>}
+     */
+    async count(context, action) {
+        const candidate = ElementLocator.getCountCandidate(action);
+        if (!candidate) return 0;
+
+        const result = await context.evaluate(findElement, [candidate], true);
+        return result.count;
+    }
+
+    /**
+     * 프레임 경로로 대상 프레임 탐색 (timeout 까지 반복)
+     * @param {Page} page
+     * @param {Array<{name: string|null, url: string|null, index: number, selector: string|null}>} framePath - 최상위 → 대상 순
+     * @param {number} [timeout=5000]
+     * @returns {Promise<Frame>}
+     */
+    async resolveFrame(page, framePath, timeout = 5000) {
+        if (!Array.isArray(framePath) || framePath.length === 0) return page.mainFrame();
+
+        const deadline = Date.now() + timeout;
+
+        while (true) {
+            const frame = await this._findFrame(page.mainFrame(), framePath);
+            if (frame) return frame;
+            if (Date.now() >= deadline) break;
+            await new Promise(resolve => setTimeout(resolve, this.interval));
+        }
+
+        const path = framePath.map(f => f.name || f.url || `#${f.index}`).join(' > ');
+        const error = new Error(`Frame not found (${timeout}ms): ${path}`);
+        error.code = FRAME_NOT_FOUND;
+        throw error;
+    }
+
+    /**
+     * [내부] 프레임 경로 1회 탐색
+     */
+    async _findFrame(root, framePath) {
+        let current = root;
+        for (const entry of framePath) {
+            current = await this._matchChildFrame(current, entry).catch(() => null);
+            if (!current) return null;
+        }
+        return current;
+    }
+
+    /**
+     * [내부] 하위 프레임 매칭 (name → frame 요소 selector → url → index)
+     */
+    async _matchChildFrame(parent, entry) {
+        const children = parent.childFrames().filter(f => !f.detached);
+        if (children.length === 0) return null;
+
+        // 1. name
+        if (entry.name) {
+            for (const child of children) {
+                const frameEl = await child.frameElement();
+                if (!frameEl) continue;
+                const name = await frameEl.evaluate(el => el.getAttribute('name')).finally(() => frameEl.dispose());
+                if (name === entry.name) return child;
+            }
+        }
+
+        // 2. frame 요소 selector
+        if (entry.selector) {
+            const frame = await this._contentFrame(await parent.$(entry.selector).catch(() => null));
+            if (frame) return frame;
+        }
+
+        // 3. url (정확히 일치 → query/hash 제외 일치)
+        if (entry.url) {
+            const stripUrl = (url) => (url || '').split(/[?#]/)[0];
+            const frame = children.find(f => f.url() === entry.url)
+                || children.find(f => stripUrl(f.url()) === stripUrl(entry.url));
+            if (frame) return frame;
+        }
+
+        // 4. 문서 내 순서 (window.frames 인덱스)
+        if (entry.index >= 0) {
+            const frameEls = await parent.$$('iframe, frame');
+            const target = frameEls[entry.index] || null;
+            await Promise.all(frameEls.filter(el => el !== target).map(el => el.dispose()));
+            return await this._contentFrame(target);
+        }
+
+        return null;
+    }
+
+    /**
+     * [내부] iframe 요소 → Frame (요소 핸들은 해제)
+     */
+    async _contentFrame(frameEl) {
+        if (!frameEl) return null;
+        try {
+            return await frameEl.contentFrame();
+        } finally {
+            await frameEl.dispose();
+        }
+    }
+
+    /**
+     * [내부] 후보 목록 1회 탐색
+     */
+    async _find(context, candidates) {
+        const result = await context.evaluateHandle(findElement, candidates);
+        try {
+            const indexHandle = await result.getProperty('index');
+            const index = await indexHandle.jsonValue().finally(() => indexHandle.dispose());
+            if (index < 0) return null;
+
+            const elementHandle = await result.getProperty('element');
+            const handle = elementHandle.asElement();
+            if (!handle) {
+                await elementHandle.dispose();
+                return null;
+            }
+
+            return { handle, candidate: candidates[index], index };
+        } finally {
+            await result.dispose();
+        }
+    }
+}
+
+module.exports = { ElementLocator, ELEMENT_NOT_FOUND, FRAME_NOT_FOUND };
@@ -0,0 +1,257 @@
+/**
+ * Recorder 네트워크 수집 모듈
+ * - 녹화 중 발생한 요청/응답(URL, method, status, 헤더, 타이밍, 본문)을 수집한다.
+ * - 각 요청은 직전에 기록된 액션(_actionIndex)과 연결되어, 어떤 사용자 동작이 어떤 OData/REST 호출을 발생시켰는지 알 수 있다.
+ * - 수집 결과는 HAR 1.2 형식으로 내보낸다. (비표준 필드는 HAR 규칙에 따라 '_' 접두사 사용)
+ */
+
+const TEXT_MIME_PATTERN = /^(text\/|application\/(json|xml|javascript|x-www-form-urlencoded|.*\+json|.*\+xml))/i;
+
+class NetworkRecorder {
+
+    /**
+     * @param {Object} [option]
+     * @param {number} [option.maxBodySize=1048576] - 수집할 본문 최대 크기(byte), 초과 시 본문 생략
+     * @param {string[]} [option.resourceTypes] - 수집할 리소스 타입 (Puppeteer resourceType, 빈 배열이면 전체)
+     * @param {string[]} [option.redactHeaders] - 값을 가릴 헤더 이름 (소문자)
+     * @param {Function} [option.getCurrentAction] - () => { index, type } | null (요청 시점의 직전 액션)
+     */
+    constructor(option = {}) {
+        this.maxBodySize = option.maxBodySize !== undefined ? option.maxBodySize : 1024 * 1024;
+        this.resourceTypes = option.resourceTypes || ['document', 'xhr', 'fetch'];
+        this.redactHeaders = (option.redactHeaders || ['authorization', 'cookie', 'set-cookie', 'proxy-authorization'])
+            .map(name => name.toLowerCase());
+        this.getCurrentAction = option.getCurrentAction || (() => null);
+
+        this.enabled = false;
+        this.entries = [];
+        this.pages = [];            // HAR pages (탭 단위)
+        this._pending = new Map();  // HTTPRequest → 수집 중인 entry
+    }
+
+    /**
+     * 수집 시작/중지 (녹화 상태와 연동)
+     */
+    start() { this.enabled = true; }
+    stop() { this.enabled = false; }
+
+    /**
+     * 수집 데이터 초기화
+     */
+    reset() {
+        this.entries = [];
+        this._pending = new Map();
+        this.pages.forEach(p => { p.startedDateTime = new Date().toISOString(); });
+    }
+
+    /**
+     * 탭의 네트워크 이벤트 수집 등록
+     * @param {Page} page
+     * @param {string} tabId
+     */
+    attach(page, tabId) {
+        this.pages.push({
+            startedDateTime: new Date().toISOString(),
+            id: tabId,
+            title: tabId,
+            pageTimings: {}
+        });
+
+        page.on('request', (request) => this._onRequest(request, tabId));
+        page.on('requestfinished', (request) => this._onRequestFinished(request).catch(() => {}));
+        page.on('requestfailed', (request) => this._onRequestFailed(request));
+    }
+
+    /**
+     * HAR 1.2 로그
+     * @returns {{log: Object}}
+     */
+    toHAR() {
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'u4a-record-replay', version: '1.0' },
+                pages: this.pages.map(p => ({ ...p })),
+                entries: this.entries.slice().sort((a, b) => a._startTime - b._startTime).map(entry => {
+                    const { _startTime, ...har } = entry;
+                    return har;
+                })
+            }
+        };
+    }
+
+    // ===== 내부 =====
+
+    _isTarget(request) {
+        if (!this.enabled) return false;
+        if (request.url().startsWith('data:')) return false;
+        return this.resourceTypes.length === 0 || this.resourceTypes.includes(request.resourceType());
+    }
+
+    _onRequest(request, tabId) {
+        if (!this._isTarget(request)) return;
+
+        const action = this.getCurrentAction();
+        const url = request.url();
+        const postData = request.postData();
+
+        const entry = {
+            pageref: tabId,
+            startedDateTime: new Date().toISOString(),
+            time: 0,
+            request: {
+                method: request.method(),
+                url: url,
+                httpVersion: '',
+                cookies: [],
+                headers: this._toHeaders(request.headers()),
+                queryString: this._toQueryString(url),
+                headersSize: -1,
+                bodySize: postData ? Buffer.byteLength(postData) : 0
+            },
+            response: null,
+            cache: {},
+            timings: { send: 0, wait: 0, receive: 0 },
+            _resourceType: request.resourceType(),
+            _actionIndex: action ? action.index : null,
+            _actionType: action ? action.type : null,
+            _startTime: Date.now()
+        };
+
+        if (postData) {
+            const mimeType = request.headers()['content-type'] || '';
+            entry.request.postData = postData.length <= this.maxBodySize
+                ? { mimeType, text: postData }
+                : { mimeType, text: '', comment: `body omitted (${postData.length} > ${this.maxBodySize} bytes)` };
+        }
+
+        this._pending.set(request, entry);
+    }
+
+    async _onRequestFinished(request) {
+        const entry = this._pending.get(request);
+        if (!entry) return;
+        this._pending.delete(request);
+
+        const response = request.response();
+        const endTime = Date.now();
+        entry.time = endTime - entry._startTime;
+
+        if (!response) {
+            entry.response = this._emptyResponse('no response');
+            this.entries.push(entry);
+            return;
+        }
+
+        const headers = response.headers();
+        const mimeType = headers['content-type'] || '';
+        entry.response = {
+            status: response.status(),
+            statusText: response.statusText(),
+            httpVersion: '',
+            cookies: [],
+            headers: this._toHeaders(headers),
+            content: { size: -1, mimeType },
+            redirectURL: headers['location'] || '',
+            headersSize: -1,
+            bodySize: -1
+        };
+        entry.serverIPAddress = response.remoteAddress().ip || undefined;
+        entry.cache = response.fromCache() ? { afterRequest: {} } : {};
+        entry.timings = this._toTimings(response.timing(), entry.time);
+
+        // 본문 (리다이렉트/본문 없는 응답은 buffer() 실패)
+        const contentLength = Number(headers['content-length']);
+        if (contentLength > this.maxBodySize) {
+            entry.response.content.size = contentLength;
+            entry.response.content.comment = `body omitted (${contentLength} > ${this.maxBodySize} bytes)`;
+        } else {
+            const body = await response.buffer().catch(() => null);
+            if (body) {
+                entry.response.content.size = body.length;
+                entry.response.bodySize = body.length;
+
+                if (body.length > this.maxBodySize) {
+                    entry.response.content.comment = `body omitted (${body.length} > ${this.maxBodySize} bytes)`;
+                } else if (TEXT_MIME_PATTERN.test(mimeType)) {
+                    entry.response.content.text = body.toString('utf8');
+                } else {
+                    entry.response.content.text = body.toString('base64');
+                    entry.response.content.encoding = 'base64';
+                }
+            }
+        }
+
+        this.entries.push(entry);
+    }
+
+    _onRequestFailed(request) {
+        const entry = this._pending.get(request);
+        if (!entry) return;
+        this._pending.delete(request);
+
+        const failure = request.failure();
+        entry.time = Date.now() - entry._startTime;
+        entry.response = this._emptyResponse(failure ? failure.errorText : 'Failed');
+        entry._error = failure ? failure.errorText : 'Failed';
+        this.entries.push(entry);
+    }
+
+    _emptyResponse(comment) {
+        return {
+            status: 0,
+            statusText: '',
+            httpVersion: '',
+            cookies: [],
+            headers: [],
+            content: { size: 0, mimeType: '' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1,
+            comment
+        };
+    }
+
+    _toHeaders(headers) {
+        return Object.entries(headers || {}).map(([name, value]) => ({
+            name,
+            value: this.redactHeaders.includes(name.toLowerCase()) ? '[redacted]' : value
+        }));
+    }
+
+    _toQueryString(url) {
+        try {
+            return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * [내부] CDP ResourceTiming → HAR timings (ms, 해당 없음은 -1)
+     */
+    _toTimings(timing, total) {
+        if (!timing) return { send: 0, wait: total, receive: 0 };
+
+        const span = (start, end) => (start >= 0 && end >= 0) ? Math.max(end - start, 0) : -1;
+        const send = Math.max(span(timing.sendStart, timing.sendEnd), 0);
+        const wait = Math.max(span(timing.sendEnd, timing.receiveHeadersEnd), 0);
+        const blocked = timing.dnsStart >= 0 ? timing.dnsStart : (timing.connectStart >= 0 ? timing.connectStart : timing.sendStart);
+
+        const timings = {
+            blocked: blocked >= 0 ? blocked : -1,
+            dns: span(timing.dnsStart, timing.dnsEnd),
+            connect: span(timing.connectStart, timing.connectEnd),
+            ssl: span(timing.sslStart, timing.sslEnd),
+            send,
+            wait,
+            receive: 0
+        };
+
+        const elapsed = [timings.blocked, timings.dns, timings.connect, send, wait].filter(v => v > 0).reduce((a, b) => a + b, 0);
+        timings.receive = Math.max(Math.round(total - elapsed), 0);
+        return timings;
+    }
+}
+
+module.exports = NetworkRecorder;
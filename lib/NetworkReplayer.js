@@ -0,0 +1,255 @@
+/**
+ * Replayer 네트워크 재생 모듈 (오프라인 재생)
+ * - 요청 가로채기(request interception)로 녹화된 HAR 의 응답을 그대로 돌려준다.
+ * - 매칭 기준: method + URL (정확히 일치 → origin 제외 일치), 선택적으로 요청 본문
+ * - 같은 요청이 여러 번 녹화된 경우 녹화 순서대로 응답하고, 마지막 응답을 반복한다.
+ * - HAR 에 없는 요청은 unmatched 정책에 따라 처리한다.
+ *   passthrough: 실제 서버로 전달 / block: 차단 / fail: 차단 후 재생 실패 처리
+ * - 녹화 시 본문이 생략된 응답(maxBodySize 초과)은 빈 응답으로 돌려주지 않고 HAR 에 없는 요청으로 처리한다.
+ * - 가로채기 방식
+ *   attachBrowser: 브라우저 전체 (CDP Fetch, 새 탭/팝업도 첫 요청부터 적용)
+ *   attach: 페이지 단위 (page.setRequestInterception)
+ */
+
+const fs = require('fs');
+
+const UNMATCHED_REQUEST = 'UNMATCHED_REQUEST';
+
+// 본문을 디코딩하여 돌려주므로 제외할 응답 헤더
+const SKIP_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'keep-alive'];
+
+class NetworkReplayer {
+
+    /**
+     * @param {Object} har - HAR 1.2 ({ log: { entries } })
+     * @param {Object} [option]
+     * @param {boolean} [option.matchBody=false] - 요청 본문까지 일치해야 매칭
+     * @param {string} [option.unmatched='passthrough'] - 'passthrough' | 'block' | 'fail'
+     * @param {string[]} [option.unmatchedResourceTypes] - unmatched 정책을 적용할 리소스 타입 (그 외는 항상 passthrough, 빈 배열이면 전체)
+     */
+    constructor(har, option = {}) {
+        if (!har || !har.log || !Array.isArray(har.log.entries)) {
+            throw new Error('[NetworkReplayer] 유효한 HAR 데이터가 아닙니다.');
+        }
+
+        this.matchBody = !!option.matchBody;
+        this.unmatched = option.unmatched || 'passthrough';
+        this.unmatchedResourceTypes = option.unmatchedResourceTypes || ['xhr', 'fetch'];
+
+        this.entries = har.log.entries.filter(e => e.request && e.response && e.response.status > 0);
+        this.unmatchedRequests = [];    // 매칭되지 않은 요청 [{ method, url, action }]
+        this._cursor = new Map();       // 매칭 키 → 다음 응답 순번
+        this._failures = [];            // fail 정책으로 차단된 요청 (takeFailures 로 전달)
+    }
+
+    /**
+     * HAR 로드 (객체 또는 파일 경로)
+     * @param {Object|string} source
+     * @returns {Promise<Object>}
+     */
+    static async load(source) {
+        if (typeof source !== 'string') return source;
+        return JSON.parse(await fs.promises.readFile(source, 'utf8'));
+    }
+
+    /**
+     * 브라우저 전체 요청 가로채기 등록 (CDP Fetch)
+     * - 새로 열리는 탭/팝업도 Puppeteer Page 가 준비되기 전의 첫 요청부터 가로챈다.
+     * @param {CDPSession} session - 브라우저 target 세션 (browser.target().createCDPSession())
+     */
+    async attachBrowser(session) {
+        session.on('Fetch.requestPaused', (event) => {
+            this._handlePaused(session, event).catch(() => {
+                // 이미 처리된 요청(탭 닫힘 등)은 무시
+            });
+        });
+        await session.send('Fetch.enable', { patterns: [{ urlPattern: '*', requestStage: 'Request' }] });
+    }
+
+    /**
+     * 페이지 요청 가로채기 등록
+     * @param {Page} page
+     */
+    async attach(page) {
+        await page.setRequestInterception(true);
+        page.on('request', (request) => {
+            this._handle(request).catch(() => {
+                // 이미 처리된 요청(페이지 이동 등)은 무시
+            });
+        });
+    }
+
+    /**
+     * 재생 시작 시 상태 초기화 (응답 순번, 미매칭 기록)
+     */
+    reset() {
+        this._cursor = new Map();
+        this.unmatchedRequests = [];
+        this._failures = [];
+    }
+
+    /**
+     * fail 정책으로 차단된 요청 목록을 가져오고 비운다
+     * @returns {Array<{method: string, url: string}>}
+     */
+    takeFailures() {
+        const failures = this._failures;
+        this._failures = [];
+        return failures;
+    }
+
+    // ===== 내부 =====
+
+    async _handle(request) {
+        if (request.isInterceptResolutionHandled()) return;
+
+        const decision = this._decide({
+            method: request.method(),
+            url: request.url(),
+            postData: request.postData(),
+            resourceType: request.resourceType()
+        });
+
+        if (decision.entry) return request.respond(this._toResponse(decision.entry));
+        if (decision.abort) return request.abort(decision.abort);
+        return request.continue();
+    }
+
+    /**
+     * [내부] CDP Fetch.requestPaused 처리 (attachBrowser)
+     */
+    async _handlePaused(session, event) {
+        const decision = this._decide({
+            method: event.request.method,
+            url: event.request.url + (event.request.urlFragment || ''),
+            postData: event.request.postData,
+            resourceType: String(event.resourceType || 'other').toLowerCase()
+        });
+        const requestId = event.requestId;
+
+        if (decision.entry) {
+            const response = this._toResponse(decision.entry);
+            const headers = { ...response.headers };
+            if (response.contentType && !headers['content-type']) headers['content-type'] = response.contentType;
+
+            return session.send('Fetch.fulfillRequest', {
+                requestId,
+                responseCode: response.status,
+                responseHeaders: Object.entries(headers).flatMap(([name, value]) => String(value).split('\n').map(v => ({ name, value: v }))),
+                body: Buffer.from(response.body).toString('base64')
+            });
+        }
+        if (decision.abort) {
+            return session.send('Fetch.failRequest', { requestId, errorReason: decision.abort === 'failed' ? 'Failed' : 'Aborted' });
+        }
+        return session.send('Fetch.continueRequest', { requestId });
+    }
+
+    /**
+     * [내부] 요청 처리 방법 결정 (녹화 응답 | 전달 | 차단) 및 미매칭 기록
+     * @param {{method: string, url: string, postData?: string, resourceType: string}} request
+     * @returns {{entry?: Object, abort?: string}} entry: 녹화 응답, abort: 차단 사유, 둘 다 없으면 전달
+     */
+    _decide(request) {
+        const { method, url, resourceType: type } = request;
+        if (url.startsWith('data:') || url.startsWith('blob:')) return {};
+
+        const entry = this._match(request);
+        if (entry && this._hasBody(entry)) return { entry };
+
+        const applies = this.unmatchedResourceTypes.length === 0 || this.unmatchedResourceTypes.includes(type);
+        const record = { method, url, resourceType: type };
+        if (entry) record.reason = 'body omitted';
+
+        if (!applies || this.unmatched === 'passthrough') {
+            if (applies) this.unmatchedRequests.push(record);
+            return {};
+        }
+
+        this.unmatchedRequests.push(record);
+
+        if (this.unmatched === 'fail') {
+            this._failures.push(record);
+            return { abort: 'failed' };
+        }
+        return { abort: 'aborted' };
+    }
+
+    /**
+     * [내부] 녹화 응답 본문 보유 여부
+     * - 본문이 생략된 응답(NetworkRecorder maxBodySize 초과 등)은 재생할 수 없다.
+     * - 본문이 없는 상태 코드(1xx/204/3xx)와 크기 0 응답은 빈 본문으로 재생한다.
+     */
+    _hasBody(entry) {
+        const response = entry.response;
+        const content = response.content || {};
+        if (typeof content.text === 'string' && content.text.length > 0) return true;
+        if (response.bodySize === 0 || content.size === 0) return true;
+        return response.status < 200 || response.status === 204 || (response.status >= 300 && response.status < 400);
+    }
+
+    /**
+     * [내부] 녹화 응답 검색
+     * @param {{method: string, url: string, postData?: string}} request
+     */
+    _match(request) {
+        const { method, url } = request;
+        const body = request.postData || '';
+
+        const sameBody = (entry) => !this.matchBody
+            || ((entry.request.postData && entry.request.postData.text) || '') === body;
+
+        const candidates = this.entries.filter(e => e.request.method === method && sameBody(e));
+
+        let matches = candidates.filter(e => e.request.url === url);
+        if (matches.length === 0) {
+            const local = this._stripOrigin(url);
+            matches = candidates.filter(e => this._stripOrigin(e.request.url) === local);
+        }
+        if (matches.length === 0) return null;
+
+        const key = `${method} ${this._stripOrigin(url)} ${this.matchBody ? body : ''}`;
+        const index = this._cursor.get(key) || 0;
+        this._cursor.set(key, index + 1);
+
+        return matches[Math.min(index, matches.length - 1)];
+    }
+
+    _stripOrigin(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.pathname + parsed.search;
+        } catch (e) {
+            return url;
+        }
+    }
+
+    /**
+     * [내부] HAR 응답 → request.respond 인자
+     */
+    _toResponse(entry) {
+        const response = entry.response;
+        const content = response.content || {};
+
+        const headers = {};
+        (response.headers || []).forEach(({ name, value }) => {
+            const lower = name.toLowerCase();
+            if (SKIP_RESPONSE_HEADERS.includes(lower) || value === '[redacted]') return;
+            headers[lower] = headers[lower] ? `${headers[lower]}\n${value}` : value;
+        });
+
+        let body = '';
+        if (content.text) {
+            body = content.encoding === 'base64' ? Buffer.from(content.text, 'base64') : content.text;
+        }
+
+        return {
+            status: response.status,
+            headers,
+            contentType: content.mimeType || headers['content-type'],
+            body
+        };
+    }
+}
+
+module.exports = { NetworkReplayer, UNMATCHED_REQUEST };
@@ -1,5 +1,9 @@
 const EventEmitter = require('events');
-const puppeteer = require('puppeteer');
+const { openBrowser, selectPage, releaseBrowser } = require('./BrowserConnector');
+const RecorderToolbar = require('./RecorderToolbar');
+const NetworkRecorder = require('./NetworkRecorder');
+const { SCHEMA_VERSION } = require('./RecordingSchema');
+const { normalizeActionsWithMap, remapEntry } = require('./ActionNormalizer');
 
 /**
  * 상태 코드 (RecorderStatusCode)
@@ -15,6 +19,7 @@ const RecorderStatusCode = {
     ALREADY_LAUNCHED: 'ALREADY_LAUNCHED',
     ALREADY_RECORDING: 'ALREADY_RECORDING',
     NOT_RECORDING: 'NOT_RECORDING',
+    NOT_PAUSED: 'NOT_PAUSED',
 
     // 3. 실행 실패
     LAUNCH_FAILED: 'LAUNCH_FAILED',
@@ -36,6 +41,7 @@ const RecorderState = {
     LAUNCHING: 'LAUNCHING', // 브라우저 실행 중
     READY: 'READY',         // 페이지 로드 완료, 녹화 대기
     RECORDING: 'RECORDING', // 녹화 중
+    PAUSED: 'PAUSED',       // 녹화 일시정지 (세션 유지, 액션 미수집)
     CLOSING: 'CLOSING'      // 종료 처리 중
 };
 
@@ -56,10 +62,47 @@ class Recorder extends EventEmitter {
                 headless: false,
                 defaultViewport: null
             },
+            // 실행 중인 브라우저에 연결 (puppeteer.connect 옵션: browserWSEndpoint | browserURL)
+            // - 지정 시 launchOptions 는 사용하지 않으며, close() 는 연결만 해제한다.
+            connectOptions: null,
+            targetUrl: null,        // 연결 시 사용할 기존 탭 (문자열 접두사 | RegExp | 함수, 미지정 시 url)
             gotoOptions: {
                 waitUntil: 'load',
                 timeout: 30000
-            }
+            },
+            hoverDelay: 500,        // hover 로 인정할 최소 체류 시간(ms)
+            dragThreshold: 10,      // drag 로 인정할 최소 이동 거리(px)
+            mousePathInterval: 50,  // drag 경로 샘플링 간격(ms)
+            // keydown 으로 기록할 키 (e.key 기준, ' ' = Space)
+            captureKeys: [
+                'Enter', 'Tab', 'Escape',
+                'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+                'Backspace', 'Delete', 'Home', 'End',
+                'PageUp', 'PageDown', 'Insert', ' ',
+                'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12'
+            ],
+            captureModifierCombos: true, // Ctrl/Alt/Meta 조합키(Ctrl+S 등) 기록
+            // 민감 값 마스킹 (값 대신 "{{secret:이름}}" 자리표시자 저장)
+            maskPasswords: true,    // type=password 입력 마스킹
+            // 추가 마스킹 규칙 [{ name, selector?, pattern? }]
+            // - selector: 요소가 일치하면 마스킹, pattern: 입력 값이 일치하면 마스킹 (RegExp | string)
+            // - pattern 이 일치하면 같은 필드의 이전 키 입력(부분 값)도 함께 마스킹한다. (stream 모드: 'redact' 이벤트)
+            secretRules: [],
+            toolbar: false,         // 페이지 내 녹화 툴바 (일시정지/중지, 검증 단계/marker 작성)
+            // 네트워크 수집 (요청/응답을 직전 액션과 연결하여 HAR 로 내보냄)
+            captureNetwork: false,
+            networkMaxBodySize: 1024 * 1024,                     // 수집할 본문 최대 크기(byte)
+            networkResourceTypes: ['document', 'xhr', 'fetch'],  // 빈 배열이면 전체
+            // 녹화 종료 시 액션 정리 (키 입력 병합, 중복 click/change 제거 등 - ActionNormalizer 참고)
+            // - stream 모드에서는 이미 전달된 액션에는 적용되지 않으며 exportRecording() 결과에 반영된다.
+            normalizeActions: false,
+            // 단계별 스냅샷 (대상 요소 outerHTML/위치/텍스트 + 썸네일 스크린샷, 재생 실패 시 원본 상태 비교용)
+            // - 스크린샷은 액션 기록 후 비동기로 첨부되므로 내보내기 전 waitForSnapshots() 로 완료를 기다린다.
+            // - 마스킹 대상 입력 필드는 스크린샷에서 가려지고 HTML 의 value 속성도 제거된다.
+            captureSnapshots: false,
+            snapshotWidth: 320,         // 썸네일 너비(px)
+            snapshotQuality: 60,        // JPEG 품질 (0-100)
+            snapshotHtmlMaxLength: 2000 // outerHTML 최대 길이 (초과분 생략)
         };
 
         // 옵션 병합
@@ -78,15 +121,37 @@ class Recorder extends EventEmitter {
         // 인스턴스 변수
         this.browser = null;
         this.page = null;
+        this._ownsBrowser = true;       // false: connect 로 연결한 브라우저 (종료하지 않음)
+        this._createdPages = new Set(); // 연결한 브라우저에서 직접 연 탭
+
+        // 탭 관리 (tabId → page)
+        this.pages = new Map();
+        this._tabSeq = 0;
+        this._activeTabId = null;
+
+        // 탭별 네비게이션 히스토리 상태 (back/forward 판별용)
+        this._navStates = new Map();
         
         // 데이터 저장소
         this.recordedActions = [];
         this.recordedErrors = [];
         this.recordingStartTime = null;
         this.recordingEndTime = null;
+        this.pauses = [];   // 일시정지 구간 [{ start, end }] (epoch ms, 재생 시 대기 시간에서 제외)
+        this.environment = {};  // 녹화 환경 (브라우저 버전, UA, 화면 크기 등)
+
+        // 중복 주입 방지 (스크립트/콜백이 주입된 페이지)
+        this._injectedPages = new WeakSet();
+
+        // 녹화 툴바 (page → RecorderToolbar)
+        this._toolbars = new Map();
 
-        // 중복 주입 방지 플래그
-        this._isScriptInjected = false;
+        // 스냅샷 스크린샷 순차 처리 큐 (captureSnapshots 옵션)
+        this._snapshotQueue = Promise.resolve();
+        this._redactedRecords = new WeakSet();  // 마스킹 후 스크린샷을 남기지 않을 액션
+
+        // 네트워크 수집기 (captureNetwork 옵션)
+        this.networkRecorder = this._createNetworkRecorder();
 
         // 종료 시간 기록용 리스너
         this.on('stop', () => {
@@ -100,9 +165,12 @@ class Recorder extends EventEmitter {
      * [내부] 액션 데이터 수집/전달
      */
     _pushAction(action) {
+        // 이벤트 발생 시각으로 기록되는 액션(네비게이션 등)도 순서가 역전되지 않도록 직전 액션 시각 이상으로 보정
+        const last = this.recordedActions[this.recordedActions.length - 1];
+        const timestamp = action.timestamp || Date.now();
         const record = {
             ...action,
-            timestamp: action.timestamp || Date.now()
+            timestamp: last && last.timestamp > timestamp ? last.timestamp : timestamp
         };
 
         if (this.option.stream) {
@@ -110,6 +178,7 @@ class Recorder extends EventEmitter {
         }
 
         this.recordedActions.push(record);
+        return record;
     }
 
     /**
@@ -138,28 +207,26 @@ class Recorder extends EventEmitter {
         if (this.status !== RecorderState.IDLE) {
             return { RETCD: 'E', STCOD: RecorderStatusCode.ALREADY_LAUNCHED, MSGTX: '이미 브라우저가 실행 중이거나 준비 상태입니다.' };
         }
-        if (!this.option.url) {
+        // 연결 모드에서는 targetUrl 로 기존 탭을 지정할 수 있다
+        if (!this.option.url && !(this.option.connectOptions && this.option.targetUrl)) {
             return { RETCD: 'E', STCOD: RecorderStatusCode.NO_URL_FOUND, MSGTX: 'URL이 설정되지 않았습니다.' };
         }
 
         // [상태 변경] LAUNCHING
         this.status = RecorderState.LAUNCHING;
         let tempBrowser = null;
+        let owned = true;
+        let createdPage = null;
 
         try {
-            tempBrowser = await puppeteer.launch(this.option.launchOptions);
-            console.log("1 - launch 완료");
+            ({ browser: tempBrowser, owned } = await openBrowser(this.option));
+            console.log(owned ? "1 - launch 완료" : "1 - connect 완료");
 
             // 체크포인트
             if (this.status === RecorderState.CLOSING) throw new Error(RecorderStatusCode.ABORTED_BY_USER);
 
-            const aPages = await tempBrowser.pages();
-
-            var page = aPages[0];
-            if(!page){
-                page = await tempBrowser.newPage();
-            }
-            // const page = await tempBrowser.newPage();
+            const { page, created, matched } = await selectPage(tempBrowser, owned, this.option);
+            if (created) createdPage = page;
             console.log("2 - newPage 완료");
             
             // 체크포인트
@@ -167,12 +234,14 @@ class Recorder extends EventEmitter {
 
             this.browser = tempBrowser;
             this.page = page;
+            this._ownsBrowser = owned;
+            if (!owned && created) this._createdPages.add(page);
 
-            // 새 페이지이므로 스크립트 주입 플래그 초기화
-            this._isScriptInjected = false;
+            // 첫 탭 등록 및 리스너 등록 (1회만 수행)
+            this._attachPage(page);
 
-            // 리스너 등록 (1회만 수행)
-            this._registerPuppeteerListeners();
+            // 새 탭/팝업 감지 (window.open, target=_blank 등)
+            this.browser.on('targetcreated', (target) => this._onTargetCreated(target));
 
             // 강제 종료(Crash 등) 감지 핸들러
             this.browser.once('disconnected', () => {
@@ -180,7 +249,9 @@ class Recorder extends EventEmitter {
                 if (this.status === RecorderState.CLOSING) return;
 
                 // 녹화 중 비정상 종료 시 데이터 보존
-                if (this.status === RecorderState.RECORDING) {
+                if (this._isSessionActive()) {
+                    this._closePause();
+                    if (this.networkRecorder) this.networkRecorder.stop();
                     this.recordingEndTime = new Date().toISOString();
                     this._finalize();
                     this.emit('stop');
@@ -192,8 +263,11 @@ class Recorder extends EventEmitter {
                 this._resetState();
             });
 
-            await this.page.goto(this.option.url, this.option.gotoOptions);
-            console.log("3 - goto 완료");
+            // 연결한 브라우저의 기존 탭은 현재 화면 그대로 사용
+            if (!matched) {
+                await this.page.goto(this.option.url, this.option.gotoOptions);
+                console.log("3 - goto 완료");
+            }
 
             // 체크포인트
             if (this.status === RecorderState.CLOSING) throw new Error(RecorderStatusCode.ABORTED_BY_USER);
@@ -204,9 +278,9 @@ class Recorder extends EventEmitter {
 
         } catch (error) {
 
-            // 실패 시 브라우저 정리
-            if (tempBrowser && tempBrowser.isConnected()) {
-                try { await tempBrowser.close(); } catch(e) {}
+            // 실패 시 브라우저 정리 (연결한 브라우저는 연결만 해제)
+            if (tempBrowser) {
+                try { await releaseBrowser(tempBrowser, owned, createdPage ? [createdPage] : []); } catch(e) {}
             }
 
             // 상태 복구
@@ -233,6 +307,9 @@ class Recorder extends EventEmitter {
         if (this.status === RecorderState.RECORDING) {
             return { RETCD: 'E', STCOD: RecorderStatusCode.ALREADY_RECORDING, MSGTX: '이미 레코딩 중입니다.' };
         }
+        if (this.status === RecorderState.PAUSED) {
+            return { RETCD: 'E', STCOD: RecorderStatusCode.ALREADY_RECORDING, MSGTX: '레코딩이 일시정지 상태입니다. resumeRecording을 호출하세요.' };
+        }
         if (this.status !== RecorderState.READY) {
             return { RETCD: 'E', STCOD: RecorderStatusCode.NO_PAGE_FOUND, MSGTX: '페이지가 준비되지 않았습니다. launchPage를 먼저 호출하세요.' };
         }
@@ -244,58 +321,57 @@ class Recorder extends EventEmitter {
             // 데이터 초기화
             this.recordedActions = [];
             this.recordedErrors = [];
+            this.pauses = [];
             this.recordingStartTime = new Date().toISOString();
+            this.recordingEndTime = null;
+            this._activeTabId = this._getTabId(this.page);
+
+            if (this.networkRecorder) {
+                this.networkRecorder.reset();
+                this.networkRecorder.start();
+            }
 
             if (this.status === RecorderState.CLOSING) throw new Error(RecorderStatusCode.ABORTED_BY_USER);
 
             // 1. 초기 해상도 수집
             const initialSize = await this.page.evaluate(() => ({
                 width: window.outerWidth,
-                height: window.outerHeight
+                height: window.outerHeight,
+                innerWidth: window.innerWidth,
+                innerHeight: window.innerHeight,
+                devicePixelRatio: window.devicePixelRatio,
+                language: navigator.language
             }));
 
             if (this.status === RecorderState.CLOSING) throw new Error(RecorderStatusCode.ABORTED_BY_USER);
 
+            // 녹화 환경 (exportRecording 용)
+            this.environment = {
+                browserVersion: await this.browser.version().catch(() => null),
+                userAgent: await this.browser.userAgent().catch(() => null),
+                window: { width: initialSize.width, height: initialSize.height },
+                viewport: { width: initialSize.innerWidth, height: initialSize.innerHeight, deviceScaleFactor: initialSize.devicePixelRatio },
+                language: initialSize.language,
+                platform: process.platform,
+                nodeVersion: process.version
+            };
+
             this._pushAction({
                 type: 'browser_resize',
+                tabId: this._getTabId(this.page),
                 fromWidth: initialSize.width,
                 fromHeight: initialSize.height,
                 toWidth: initialSize.width,
                 toHeight: initialSize.height
             });
 
-            // 2. 콜백 노출 (Idempotent)
-            if (this.page) {
-                try {
-                    await this.page.exposeFunction('__u4arecCallback', (action) => {
-                        // 녹화 중일 때만 데이터 수집
-                        if (this.status === RecorderState.RECORDING) {
-                            this._pushAction(action);
-                        }
-                    });
-                } catch (e) {
-                    // 이미 존재하는 함수 에러는 무시
-                    if (this.status === RecorderState.CLOSING) throw new Error(RecorderStatusCode.ABORTED_BY_USER);
-                }
-            }
-
-            // 3. 스크립트 주입 (중복 방지 로직 적용)
-            const script = this._getInjectionScript();
-            const promises = [];
-
-            // 현재 페이지에 즉시 적용
-            promises.push(this.page.evaluate(script));
-
-            // 새 탭/새로고침 시 적용 (한 번만 등록)
-            if (!this._isScriptInjected) {
-                promises.push(this.page.evaluateOnNewDocument(script));
-                this._isScriptInjected = true;
-            }
-
-            await Promise.all(promises);
+            // 2. 콜백 노출 및 스크립트 주입 (열려 있는 모든 탭)
+            await Promise.all(Array.from(this.pages.values()).map(page => this._injectRecorder(page)));
 
             if (this.status === RecorderState.CLOSING) throw new Error(RecorderStatusCode.ABORTED_BY_USER);
 
+            this._syncToolbars();
+
             return { RETCD: 'S' };
 
         } catch (error) {
@@ -305,6 +381,7 @@ class Recorder extends EventEmitter {
                 this.status = RecorderState.READY;
             }
             this.recordingStartTime = null;
+            if (this.networkRecorder) this.networkRecorder.stop();
 
             /**
              * [에러 처리 로직]
@@ -333,16 +410,57 @@ class Recorder extends EventEmitter {
      */
     stopRecording() {
 
-        if (this.status !== RecorderState.RECORDING) {
+        if (!this._isSessionActive()) {
             return { RETCD: 'E', STCOD: RecorderStatusCode.NOT_RECORDING, MSGTX: '녹화 중이 아닙니다.' };
         }
 
+        this._closePause();
+        if (this.networkRecorder) this.networkRecorder.stop();
         this.recordingEndTime = new Date().toISOString();
+        if (this.option.normalizeActions) this._normalizeActions();
         this._finalize();
         this.emit('stop');
 
         // [상태 변경] READY (다시 시작 가능하도록)
         this.status = RecorderState.READY;
+        this._syncToolbars();
+
+        return { RETCD: 'S' };
+    }
+
+    /**
+     * 레코딩 일시정지
+     * - 세션(수집된 액션/에러, 탭)은 유지하고 이후 액션은 수집하지 않는다.
+     */
+    pauseRecording() {
+
+        if (this.status !== RecorderState.RECORDING) {
+            return { RETCD: 'E', STCOD: RecorderStatusCode.NOT_RECORDING, MSGTX: '녹화 중이 아닙니다.' };
+        }
+
+        this.pauses.push({ start: Date.now(), end: null });
+        if (this.networkRecorder) this.networkRecorder.stop();
+        this.status = RecorderState.PAUSED;
+        this._syncToolbars();
+        this.emit('pause');
+
+        return { RETCD: 'S' };
+    }
+
+    /**
+     * 레코딩 재개
+     */
+    resumeRecording() {
+
+        if (this.status !== RecorderState.PAUSED) {
+            return { RETCD: 'E', STCOD: RecorderStatusCode.NOT_PAUSED, MSGTX: '일시정지 상태가 아닙니다.' };
+        }
+
+        this._closePause();
+        if (this.networkRecorder) this.networkRecorder.start();
+        this.status = RecorderState.RECORDING;
+        this._syncToolbars();
+        this.emit('resume');
 
         return { RETCD: 'S' };
     }
@@ -350,22 +468,28 @@ class Recorder extends EventEmitter {
     /**
      * 메타 정보 조회
      * - 수정됨: _formatDuration 재사용
+     * - durationMs 는 전체 경과 시간, activeDurationMs/pausedDurationMs 는 일시정지 구간 구분
      */
     getMetadata() {
         const metadata = {
             type: this.option.type,
             url: this.option.url,
             recordingStartTime: this.recordingStartTime,
-            recordingEndTime: this.recordingEndTime
+            recordingEndTime: this.recordingEndTime,
+            pauses: this.pauses.map(p => ({ ...p }))
         };
 
         if (this.recordingStartTime && this.recordingEndTime) {
             const startMs = new Date(this.recordingStartTime).getTime();
             const endMs = new Date(this.recordingEndTime).getTime();
             metadata.durationMs = endMs - startMs;
+            metadata.pausedDurationMs = this.pauses.reduce((sum, p) => sum + ((p.end || endMs) - p.start), 0);
+            metadata.activeDurationMs = metadata.durationMs - metadata.pausedDurationMs;
             
             // 공통 메서드 활용
             metadata.duration = this._formatDuration(metadata.durationMs);
+            metadata.pausedDuration = this._formatDuration(metadata.pausedDurationMs);
+            metadata.activeDuration = this._formatDuration(metadata.activeDurationMs);
         }
         return metadata;
     }
@@ -383,15 +507,13 @@ class Recorder extends EventEmitter {
 
         try {
             if (this.browser && this.browser.isConnected()) {
-                // 1. 현재 열려있는 모든 탭 가져오기
-                const pages = await this.browser.pages();
-
-                // 2. 모든 탭 병렬 종료
-                // map과 catch를 사용하여 특정 탭 닫기에 실패해도 나머지는 계속 진행되도록 함
-                await Promise.all(pages.map(page => page.close().catch(e => {})));
+                // 연결한 브라우저는 남아 있으므로 녹화 툴바를 숨긴다
+                if (!this._ownsBrowser) {
+                    await Promise.all(Array.from(this._toolbars.values()).map(toolbar => toolbar.setState(this.status)));
+                }
 
-                // 3. 탭 정리가 끝난 후 브라우저 프로세스 종료
-                await this.browser.close();
+                // 실행한 브라우저: 모든 탭 + 프로세스 종료 / 연결한 브라우저: 직접 연 탭만 닫고 연결 해제
+                await releaseBrowser(this.browser, this._ownsBrowser, this._createdPages);
             }
         } catch (e) {
             console.warn('Close warning:', e.message);
@@ -405,6 +527,75 @@ class Recorder extends EventEmitter {
     }
 
 
+    /**
+     * 녹화 문서 내보내기 (Replayer.play 입력 형식)
+     * - 형식은 RecordingSchema 참고 (schemaVersion, metadata, actions, errors, environment, network)
+     * @returns {Object}
+     */
+    exportRecording() {
+        const recording = {
+            schemaVersion: SCHEMA_VERSION,
+            metadata: this.getMetadata(),
+            actions: this.recordedActions.map(action => ({ ...action })),
+            errors: this.recordedErrors.map(error => ({ ...error })),
+            environment: { ...this.environment }
+        };
+
+        if (this.networkRecorder) recording.network = this.getHAR();
+        return recording;
+    }
+
+    /**
+     * 네트워크 수집 결과 (HAR 1.2)
+     * - captureNetwork 옵션이 꺼져 있으면 null
+     * - 각 entry 의 _actionIndex 는 요청 직전에 기록된 액션의 인덱스 (recordedActions 기준)
+     */
+    getHAR() {
+        return this.networkRecorder ? this.networkRecorder.toHAR() : null;
+    }
+
+    /**
+     * [내부] 네트워크 수집기 생성 (captureNetwork 옵션)
+     */
+    _createNetworkRecorder() {
+        if (!this.option.captureNetwork) return null;
+
+        return new NetworkRecorder({
+            maxBodySize: this.option.networkMaxBodySize,
+            resourceTypes: this.option.networkResourceTypes,
+            getCurrentAction: () => {
+                const index = this.recordedActions.length - 1;
+                return index >= 0 ? { index, type: this.recordedActions[index].type } : null;
+            }
+        });
+    }
+
+    /**
+     * [내부] 녹화 세션 진행 중 여부 (RECORDING 또는 PAUSED)
+     */
+    _isSessionActive() {
+        return this.status === RecorderState.RECORDING || this.status === RecorderState.PAUSED;
+    }
+
+    /**
+     * [내부] 녹화 액션 정리 (네트워크 기록의 액션 인덱스도 함께 보정)
+     */
+    _normalizeActions() {
+        const { actions, indexMap } = normalizeActionsWithMap(this.recordedActions);
+        this.recordedActions = actions;
+        if (this.networkRecorder) {
+            this.networkRecorder.entries = this.networkRecorder.entries.map(entry => remapEntry(entry, indexMap, actions));
+        }
+    }
+
+    /**
+     * [내부] 진행 중인 일시정지 구간 종료
+     */
+    _closePause() {
+        const last = this.pauses[this.pauses.length - 1];
+        if (last && last.end === null) last.end = Date.now();
+    }
+
     /**
      * [내부] 데이터 전송 마무리
      */
@@ -413,6 +604,7 @@ class Recorder extends EventEmitter {
             if (this.recordedActions.length > 0) this.emit('action', this.recordedActions);
             if (this.recordedErrors.length > 0) this.emit('console-error', this.recordedErrors);
         }
+        if (this.networkRecorder) this.emit('har', this.getHAR());
     }
 
     /**
@@ -421,11 +613,23 @@ class Recorder extends EventEmitter {
     _resetState() {
         this.browser = null;
         this.page = null;
+        this._ownsBrowser = true;
+        this._createdPages = new Set();
+        this.pages = new Map();
+        this._tabSeq = 0;
+        this._activeTabId = null;
+        this._navStates = new Map();
         this.recordedActions = [];
         this.recordedErrors = [];
         this.recordingStartTime = null;
         this.recordingEndTime = null;
-        this._isScriptInjected = false;
+        this.pauses = [];
+        this.environment = {};
+        this._injectedPages = new WeakSet();
+        this._toolbars = new Map();
+        this._snapshotQueue = Promise.resolve();
+        this._redactedRecords = new WeakSet();
+        this.networkRecorder = this._createNetworkRecorder();
         this.status = RecorderState.IDLE;
     }
 
@@ -446,55 +650,449 @@ class Recorder extends EventEmitter {
         return `${s}s`;
     }
 
+    /**
+     * [내부] 탭 등록 (tabId 발급 및 페이지 리스너 등록)
+     * @returns {string} tabId
+     */
+    _attachPage(page) {
+        const tabId = `tab-${this._tabSeq++}`;
+        this.pages.set(tabId, page);
+        if (!this._activeTabId) this._activeTabId = tabId;
+
+        this._registerPuppeteerListeners(page, tabId);
+        if (this.networkRecorder) this.networkRecorder.attach(page, tabId);
+        page.once('close', () => this._onPageClosed(tabId));
+
+        // 메인 프레임 네비게이션 (순서 보장을 위해 탭별로 직렬 처리)
+        const navState = { index: -1, ids: [], url: null, session: null, queue: Promise.resolve() };
+        this._navStates.set(tabId, navState);
+
+        page.on('framenavigated', (frame) => {
+            if (frame !== page.mainFrame()) return;
+            const timestamp = Date.now();
+            navState.queue = navState.queue
+                .then(() => this._onMainFrameNavigated(page, tabId, frame.url(), timestamp))
+                .catch(() => {});
+        });
+
+        return tabId;
+    }
+
+    /**
+     * [내부] 페이지의 tabId 조회
+     */
+    _getTabId(page) {
+        for (const [tabId, p] of this.pages) {
+            if (p === page) return tabId;
+        }
+        return null;
+    }
+
+    /**
+     * [내부] 새 탭/팝업 생성 처리
+     */
+    async _onTargetCreated(target) {
+        if (target.type() !== 'page') return;
+
+        try {
+            const page = await target.page();
+            if (!page || this._getTabId(page)) return;
+
+            const opener = target.opener();
+            const openerPage = opener ? await opener.page() : null;
+
+            const tabId = this._attachPage(page);
+
+            // 일시정지 중 열린 탭도 재개 후 수집할 수 있도록 스크립트는 주입한다
+            if (this._isSessionActive()) {
+                if (this.status === RecorderState.RECORDING) {
+                    this._pushAction({
+                        type: 'tab_open',
+                        tabId,
+                        openerTabId: openerPage ? this._getTabId(openerPage) : null,
+                        url: target.url()
+                    });
+                }
+                await this._injectRecorder(page);
+            }
+        } catch (e) {
+            console.warn('Tab attach warning:', e.message);
+        }
+    }
+
+    /**
+     * [내부] 탭 닫힘 처리
+     */
+    _onPageClosed(tabId) {
+        if (!this.pages.has(tabId)) return;
+        this.pages.delete(tabId);
+
+        if (this.status === RecorderState.RECORDING) {
+            this._pushAction({ type: 'tab_close', tabId });
+        }
+        if (this._activeTabId === tabId) this._activeTabId = null;
+    }
+
+    /**
+     * [내부] 메인 프레임 네비게이션 처리 → navigate 액션 기록
+     * - 브라우저 히스토리(Page.getNavigationHistory)와 이전 상태를 비교하여 종류를 판별한다.
+     *   goto/reload/back/forward : 사용자가 직접 수행 (재생 시 실행)
+     *   link/form_submit         : 페이지 내 동작의 결과 (재생 시 도착 대기)
+     */
+    async _onMainFrameNavigated(page, tabId, url, timestamp) {
+        const navState = this._navStates.get(tabId);
+        if (!navState || page.isClosed()) return;
+
+        if (!navState.session) navState.session = await page.createCDPSession();
+        const history = await navState.session.send('Page.getNavigationHistory');
+        const entry = history.entries[history.currentIndex];
+
+        const prev = { index: navState.index, ids: navState.ids, url: navState.url };
+        navState.index = history.currentIndex;
+        navState.ids = history.entries.map(e => e.id);
+        navState.url = url;
+
+        if (this.status !== RecorderState.RECORDING || !entry) return;
+
+        let kind = null;
+        const knownEntry = prev.ids.includes(entry.id);
+
+        if (knownEntry && history.currentIndex < prev.index) {
+            kind = 'back';
+        } else if (knownEntry && history.currentIndex > prev.index) {
+            kind = 'forward';
+        } else {
+            switch (entry.transitionType) {
+                case 'reload':
+                    kind = 'reload';
+                    break;
+                case 'typed':
+                case 'address_bar':
+                case 'auto_bookmark':
+                case 'generated':
+                case 'keyword':
+                case 'keyword_generated':
+                    // 같은 히스토리 항목의 재통지는 무시
+                    kind = knownEntry && prev.url === url ? null : 'goto';
+                    break;
+                case 'form_submit':
+                    kind = 'form_submit';
+                    break;
+                default:
+                    kind = prev.url === url ? null : 'link';
+            }
+        }
+
+        if (!kind) return;
+
+        this._pushAction({
+            type: 'navigate',
+            tabId,
+            url,
+            kind,
+            userInitiated: ['goto', 'reload', 'back', 'forward'].includes(kind),
+            transitionType: entry.transitionType,
+            timestamp
+        });
+    }
+
+    /**
+     * [내부] 페이지에서 전달된 액션 처리
+     * - 다른 탭에서 액션이 발생하면 tab_switch 를 먼저 기록한다.
+     */
+    _onPageAction(page, action) {
+        const tabId = this._getTabId(page);
+        if (!tabId) return;
+
+        if (tabId !== this._activeTabId) {
+            this._pushAction({ type: 'tab_switch', tabId, fromTabId: this._activeTabId });
+            this._activeTabId = tabId;
+        }
+
+        // 탭 활성화 알림은 tab_switch 판단에만 사용
+        if (action.type === 'tab_focus') return;
+
+        const record = this._pushAction({ ...action, tabId });
+        if (record.secret && (record.type === 'input' || record.type === 'change')) this._redactSecretBurst(record);
+        if (this.option.captureSnapshots && record.snapshot) this._captureScreenshot(page, tabId, record);
+    }
+
+    /**
+     * [내부] 마스킹된 입력 이전의 같은 필드 입력 구간 마스킹
+     * - pattern 규칙은 값이 완성된 뒤에야 일치하므로, 그 전에 기록된 키 입력 단위 input 에 부분 값이 남는다.
+     * - 같은 대상의 input/keydown 을 거슬러 올라가며(다른 대상 액션 또는 이전 change 에서 중단) 값/data 를 제거한다.
+     * - stream 모드에서는 이미 전달된 액션이므로 'redact' 이벤트({ indexes, secret, value })로 알린다.
+     */
+    _redactSecretBurst(record) {
+        const sameTarget = (a) => a.selector === record.selector
+            && (a.tabId || null) === (record.tabId || null)
+            && JSON.stringify(a.framePath || []) === JSON.stringify(record.framePath || []);
+        const indexes = [];
+
+        for (let i = this.recordedActions.length - 2; i >= 0; i--) {
+            const action = this.recordedActions[i];
+            if (action.type === 'scroll') continue;
+            if (!sameTarget(action) || action.type === 'change') break;
+            if (action.type !== 'input' || action.secret) continue;
+
+            // UI5 속성에 남은 부분 값도 제거
+            if (action.ui5 && action.ui5.properties) {
+                Object.keys(action.ui5.properties).forEach(name => {
+                    if (action.ui5.properties[name] === action.value) delete action.ui5.properties[name];
+                });
+            }
+            action.value = record.value;
+            action.secret = record.secret;
+            delete action.data;
+
+            // 값이 보이는 스크린샷은 버림 (대기 중인 캡처 포함)
+            if (action.snapshot) {
+                delete action.snapshot.screenshot;
+                this._redactedRecords.add(action);
+            }
+            indexes.unshift(i);
+        }
+
+        if (indexes.length > 0 && this.option.stream) {
+            this.emit('redact', { indexes, secret: record.secret, value: record.value });
+        }
+    }
+
+    /**
+     * [내부] 액션 스냅샷에 썸네일 스크린샷 첨부 (순차 실행, 실패 시 스크린샷 없이 유지)
+     * - stream 모드에서는 액션이 먼저 전달되므로 완료 시 'snapshot' 이벤트로 알린다.
+     */
+    _captureScreenshot(page, tabId, record) {
+        const index = this.recordedActions.indexOf(record);
+
+        this._snapshotQueue = this._snapshotQueue.then(async () => {
+            const navState = this._navStates.get(tabId);
+            if (!navState || page.isClosed() || this._redactedRecords.has(record)) return;
+            if (!navState.session) navState.session = await page.createCDPSession();
+
+            // 현재 보이는 영역을 썸네일 너비로 축소 (clip 은 문서 좌표)
+            const view = await page.evaluate(() => {
+                const vv = window.visualViewport;
+                return vv
+                    ? { x: vv.pageLeft, y: vv.pageTop, width: vv.width, height: vv.height }
+                    : { x: window.scrollX, y: window.scrollY, width: window.innerWidth, height: window.innerHeight };
+            });
+            const scale = Math.min(1, this.option.snapshotWidth / view.width);
+            const { data } = await navState.session.send('Page.captureScreenshot', {
+                format: 'jpeg',
+                quality: this.option.snapshotQuality,
+                clip: { ...view, scale }
+            });
+
+            if (this._redactedRecords.has(record)) return;
+            record.snapshot.screenshot = 'data:image/jpeg;base64,' + data;
+            if (this.option.stream) this.emit('snapshot', { index, tabId, screenshot: record.snapshot.screenshot });
+        }).catch(() => {});
+    }
+
+    /**
+     * 진행 중인 스냅샷 스크린샷 완료 대기 (captureSnapshots 사용 시 exportRecording 전에 호출)
+     */
+    async waitForSnapshots() {
+        await this._snapshotQueue;
+    }
+
+    /**
+     * [내부] 페이지에 콜백 노출 및 녹화 스크립트 주입 (중복 방지)
+     */
+    async _injectRecorder(page) {
+        const script = this._getInjectionScript();
+        const config = this._getInjectionConfig();
+
+        // 1. 콜백 노출 + 새 문서/iframe 적용 스크립트 등록 (페이지당 1회)
+        if (!this._injectedPages.has(page)) {
+            this._injectedPages.add(page);
+            await Promise.all([
+                page.exposeFunction('__u4arecCallback', (action) => {
+                    // 녹화 중일 때만 데이터 수집
+                    if (this.status === RecorderState.RECORDING) {
+                        this._onPageAction(page, action);
+                    }
+                }).catch(() => {}), // 이미 존재하는 함수 에러는 무시
+                page.evaluateOnNewDocument(script, config)
+            ]);
+
+            // 녹화 툴바 (녹화 스크립트 다음에 등록되어야 window.u4arec 사용 가능)
+            if (this.option.toolbar) {
+                const toolbar = new RecorderToolbar(page);
+                this._toolbars.set(page, toolbar);
+                page.once('close', () => this._toolbars.delete(page));
+                await toolbar.inject((command) => this._onToolbarCommand(command));
+            }
+        }
+
+        // 2. 현재 페이지의 모든 프레임에 즉시 적용 (분리/접근 불가 프레임은 무시)
+        await Promise.all(page.frames().map(frame => frame.evaluate(script, config).catch(() => {})));
+    }
+
+    /**
+     * [내부] 녹화 툴바 명령 처리
+     * @returns {string} 처리 후 녹화 상태 (툴바 표시용)
+     */
+    _onToolbarCommand(command) {
+        switch (command) {
+            case 'pause':  this.pauseRecording(); break;
+            case 'resume': this.resumeRecording(); break;
+            case 'stop':   this.stopRecording(); break;
+        }
+        return this.status;
+    }
+
+    /**
+     * [내부] 모든 탭의 녹화 툴바 상태 갱신
+     */
+    _syncToolbars() {
+        this._toolbars.forEach(toolbar => toolbar.setState(this.status));
+    }
+
     /**
      * [내부] Puppeteer 리스너 등록
      */
-    _registerPuppeteerListeners() {
-        if (!this.page) return;
+    _registerPuppeteerListeners(page, tabId) {
+        if (!page) return;
 
         // 콘솔 에러
-        this.page.on('console', (msg) => {
+        page.on('console', (msg) => {
             if (this.status !== RecorderState.RECORDING) return;
             if (msg.type() === 'error') {
                 msg.args().forEach(arg => {
                     try {
                         const val = arg.remoteObject();
                         const text = val.type === 'string' ? val.value : (val.description || 'Unknown Error');
-                        this._pushError(RecorderStatusCode.BROWSER_CONSOLE_ERROR, text.split('\n')[0], { stack: text });
+                        this._pushError(RecorderStatusCode.BROWSER_CONSOLE_ERROR, text.split('\n')[0], { stack: text, tabId });
                     } catch (e) {}
                 });
             }
         });
 
         // 페이지 에러
-        this.page.on('pageerror', (err) => {
+        page.on('pageerror', (err) => {
             if (this.status !== RecorderState.RECORDING) return;
-            this._pushError(RecorderStatusCode.BROWSER_CONSOLE_ERROR, err.message, { stack: err.stack });
+            this._pushError(RecorderStatusCode.BROWSER_CONSOLE_ERROR, err.message, { stack: err.stack, tabId });
         });
 
         // 요청 실패
-        this.page.on('requestfailed', (req) => {
+        page.on('requestfailed', (req) => {
             if (this.status !== RecorderState.RECORDING) return;
             const failure = req.failure();
             if (failure?.errorText === 'net::ERR_ABORTED') return;
-            this._pushError(RecorderStatusCode.REQUEST_ERROR, failure?.errorText || 'Failed', { url: req.url(), method: req.method() });
+            this._pushError(RecorderStatusCode.REQUEST_ERROR, failure?.errorText || 'Failed', { url: req.url(), method: req.method(), tabId });
         });
     }
 
+    /**
+     * [내부] 브라우저 주입 스크립트 설정 (직렬화 가능한 값만)
+     */
+    _getInjectionConfig() {
+        return {
+            hoverDelay: this.option.hoverDelay,
+            dragThreshold: this.option.dragThreshold,
+            mousePathInterval: this.option.mousePathInterval,
+            captureKeys: this.option.captureKeys,
+            captureModifierCombos: this.option.captureModifierCombos,
+            maskPasswords: this.option.maskPasswords,
+            captureSnapshots: this.option.captureSnapshots,
+            snapshotHtmlMaxLength: this.option.snapshotHtmlMaxLength,
+            // RegExp 는 직렬화되지 않으므로 source/flags 로 전달
+            secretRules: (this.option.secretRules || []).map(rule => ({
+                name: rule.name,
+                selector: rule.selector || null,
+                pattern: rule.pattern instanceof RegExp
+                    ? { source: rule.pattern.source, flags: rule.pattern.flags }
+                    : (rule.pattern ? { source: String(rule.pattern), flags: '' } : null)
+            }))
+        };
+    }
+
     /**
      * [내부] 브라우저 주입 스크립트 (이벤트 감지 로직 포함)
      */
     _getInjectionScript() {
-        return function() {
+        return function(config) {
             // [중복 실행 방지]
             if (window.u4arec) return;
 
+            config = config || {};
+
+            // [Shadow DOM] composed 되지 않는 이벤트(change, scroll)는 document 까지 전달되지 않으므로
+            // 생성되는 shadow root 마다 리스너를 등록한다. (closed 모드 포함, 페이지 스크립트보다 먼저 패치)
+            const shadowRoots = new Set();
+            let onShadowRoot = null;
+
+            const trackShadowRoot = (root) => {
+                if (!root || shadowRoots.has(root)) return;
+                shadowRoots.add(root);
+                if (onShadowRoot) onShadowRoot(root);
+            };
+
+            const originalAttachShadow = Element.prototype.attachShadow;
+            if (originalAttachShadow) {
+                Element.prototype.attachShadow = function(...args) {
+                    const root = originalAttachShadow.apply(this, args);
+                    trackShadowRoot(root);
+                    return root;
+                };
+            }
+
             window.u4arec = {
-                onUserAction: (action) => window.__u4arecCallback && window.__u4arecCallback(action)
+                onUserAction: (action) => {
+                    if (!window.__u4arecCallback) return;
+
+                    // iframe 내부 액션은 프레임 경로를 함께 기록
+                    const framePath = getFramePath();
+                    if (framePath.length > 0) action.framePath = framePath;
+
+                    window.__u4arecCallback(action);
+                },
+
+                // 녹화 툴바(RecorderToolbar)에서 검증 단계 작성 시 사용
+                describe: (el) => describeTarget(el),
+                mask: (action, el) => maskValue(action, el)
             };
 
+            /**
+             * 프레임 경로 (최상위 → 현재 프레임 순)
+             * - cross-origin 상위 프레임은 name/url/selector 를 읽을 수 없으므로 index 만 기록된다.
+             * @returns {Array<{name: string|null, url: string|null, index: number, selector: string|null}>}
+             */
+            function getFramePath() {
+                const path = [];
+                let win = window;
+
+                try {
+                    while (win !== win.top) {
+                        const parent = win.parent;
+                        const entry = { name: null, url: null, index: -1, selector: null };
+
+                        for (let i = 0; i < parent.frames.length; i++) {
+                            if (parent.frames[i] === win) { entry.index = i; break; }
+                        }
+                        try { entry.name = win.name || null; } catch (e) {}
+                        try { entry.url = win.location.href; } catch (e) {}
+                        try { if (win.frameElement) entry.selector = getSelector(win.frameElement); } catch (e) {}
+
+                        path.unshift(entry);
+                        win = parent;
+                    }
+                } catch (e) {}
+
+                return path;
+            }
+
             // Selector 생성 함수
+            // - shadow root 내부 요소는 호스트 Selector 와 ' >>> ' 로 연결한다. (예: "my-app >>> #save")
             function getSelector(el) {
+                const host = getShadowHost(el);
+                return host ? getSelector(host) + SHADOW_SEPARATOR + getLocalSelector(el) : getLocalSelector(el);
+            }
+
+            // 요소가 속한 문서/shadow root 내부에서의 Selector
+            function getLocalSelector(el) {
                 if (el.id) return '#' + el.id;
                 if (el.name) return '[name="' + el.name + '"]';
                 if (el.className && typeof el.className === 'string') {
@@ -504,93 +1102,593 @@ class Recorder extends EventEmitter {
                 const parent = el.parentElement;
                 if (parent) {
                     const index = Array.from(parent.children).indexOf(el) + 1;
-                    return getSelector(parent) + ' > ' + el.tagName.toLowerCase() + ':nth-child(' + index + ')';
+                    return getLocalSelector(parent) + ' > ' + el.tagName.toLowerCase() + ':nth-child(' + index + ')';
                 }
                 return el.tagName.toLowerCase();
             }
 
+            // ---------------------------------------------------------
+            // Shadow DOM
+            // ---------------------------------------------------------
+
+            const SHADOW_SEPARATOR = ' >>> ';
+
+            // shadow root 내부 요소이면 호스트 요소, 아니면 null
+            function getShadowHost(el) {
+                const root = el.getRootNode ? el.getRootNode() : document;
+                return (root && root !== document && root.host) ? root.host : null;
+            }
+
+            // 이벤트의 실제 대상 (document 리스너에서는 shadow 호스트로 재지정되므로 composedPath 사용)
+            function getEventTarget(e) {
+                const path = e.composedPath ? e.composedPath() : [];
+                const target = path.find(node => node && node.nodeType === 1);
+                return target || e.target;
+            }
+
+            // 좌표의 최하위 요소 (shadow root 내부까지)
+            function elementFromPointDeep(x, y) {
+                let el = document.elementFromPoint(x, y);
+                while (el && el.shadowRoot) {
+                    const inner = el.shadowRoot.elementFromPoint(x, y);
+                    if (!inner || inner === el) break;
+                    el = inner;
+                }
+                return el;
+            }
+
+            // ---------------------------------------------------------
+            // Selector 후보 생성 (재생 시 순서대로 Fallback)
+            // - U4A/UI5 의 자동 생성 id, class 는 빌드마다 바뀌므로
+            //   안정적인 속성/텍스트/라벨/XPath 후보를 함께 수집한다.
+            // ---------------------------------------------------------
+
+            // 안정적인 속성 (우선순위 순)
+            const STABLE_ATTRIBUTES = [
+                'data-testid', 'data-test', 'data-qa', 'data-cy',
+                'name', 'aria-label', 'title', 'placeholder', 'alt'
+            ];
+
+            // 텍스트 후보로 사용할 요소
+            const TEXT_TAGS = ['a', 'button', 'label', 'option', 'span', 'bdi', 'li', 'td', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+            const MAX_CANDIDATES = 10;
+
+            function normalizeText(text) {
+                return (text || '').replace(/\s+/g, ' ').trim();
+            }
+
+            function cssEscape(value) {
+                return (window.CSS && CSS.escape) ? CSS.escape(value) : value.replace(/([^\w-])/g, '\\$1');
+            }
+
+            function cssQuote(value) {
+                return '"' + String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+            }
+
+            function xpathLiteral(value) {
+                if (!value.includes('"')) return '"' + value + '"';
+                if (!value.includes("'")) return "'" + value + "'";
+                return 'concat("' + value.split('"').join('", \'"\', "') + '")';
+            }
+
+            // 자동 생성된 id 판별 (__button12, 숫자 3자리 이상, uuid 등)
+            function isStableId(id) {
+                if (!id || typeof id !== 'string') return false;
+                if (/^__/.test(id)) return false;
+                if (/\d{3,}/.test(id)) return false;
+                if (/^[0-9a-f]{8}-[0-9a-f]{4}-/i.test(id)) return false;
+                return true;
+            }
+
+            function countCss(selector, root) {
+                try { return (root || document).querySelectorAll(selector).length; } catch (e) { return 0; }
+            }
+
+            function countXPath(xpath) {
+                try {
+                    return document.evaluate(xpath, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null).snapshotLength;
+                } catch (e) { return 0; }
+            }
+
+            function getXPath(el) {
+                const steps = [];
+                for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+                    if (node !== el && isStableId(node.id)) {
+                        return '//*[@id=' + xpathLiteral(node.id) + ']/' + steps.join('/');
+                    }
+                    const tag = node.tagName.toLowerCase();
+                    const siblings = node.parentElement
+                        ? Array.from(node.parentElement.children).filter(c => c.tagName === node.tagName)
+                        : [node];
+                    steps.unshift(siblings.length > 1 ? tag + '[' + (siblings.indexOf(node) + 1) + ']' : tag);
+                }
+                return '/' + steps.join('/');
+            }
+
+            function getLabelText(el) {
+                if (el.labels && el.labels.length > 0) return normalizeText(el.labels[0].innerText);
+
+                const labelledBy = el.getAttribute && el.getAttribute('aria-labelledby');
+                if (labelledBy) {
+                    const labelEl = el.getRootNode().getElementById(labelledBy.split(/\s+/)[0]);
+                    if (labelEl) return normalizeText(labelEl.innerText);
+                }
+                return '';
+            }
+
+            function countLabel(text, root) {
+                let count = 0;
+                root.querySelectorAll('label').forEach(l => {
+                    if (l.control && normalizeText(l.innerText) === text) count++;
+                });
+                root.querySelectorAll('[aria-labelledby]').forEach(el => {
+                    const labelEl = root.getElementById(el.getAttribute('aria-labelledby').split(/\s+/)[0]);
+                    if (labelEl && normalizeText(labelEl.innerText) === text) count++;
+                });
+                return count;
+            }
+
+            function countText(tag, text, root) {
+                let count = 0;
+                root.querySelectorAll(tag).forEach(el => {
+                    if (normalizeText(el.innerText) === text) count++;
+                });
+                return count;
+            }
+
+            /**
+             * Selector 후보 목록 생성
+             * - score: 안정성 가중치 / 매칭 개수 (유일하면 가중치 그대로)
+             * - shadow root 내부 요소: CSS 계열은 호스트 Selector 를 ' >>> ' 로 연결하고,
+             *   label/text 는 host 에 호스트 Selector 를 기록한다. (XPath 는 shadow 경계를 넘지 못하므로 제외)
+             * @returns {Array<{type: string, value: string, score: number, unique: boolean, host?: string}>}
+             */
+            function getSelectorCandidates(el) {
+                const candidates = [];
+                const tag = el.tagName.toLowerCase();
+                const host = getShadowHost(el);
+                const root = host ? el.getRootNode() : document;
+                const hostSelector = host ? getSelector(host) : null;
+
+                const add = (type, value, weight, count, extra) => {
+                    if (!value || count < 1) return;
+                    if (host) {
+                        if (type === 'label' || type === 'text') extra = { ...(extra || {}), host: hostSelector };
+                        else value = hostSelector + SHADOW_SEPARATOR + value;
+                    }
+                    if (candidates.some(c => c.type === type && c.value === value)) return;
+                    candidates.push({ type, value, ...(extra || {}), score: Math.round(weight / count), unique: count === 1 });
+                };
+
+                // 1. 안정적인 id (UI5 의 "view--control" 형태는 접미사만 사용)
+                if (isStableId(el.id)) {
+                    const sel = '#' + cssEscape(el.id);
+                    add('id', sel, 100, countCss(sel, root));
+                } else if (el.id && el.id.includes('--')) {
+                    const suffix = el.id.split('--').pop();
+                    if (isStableId(suffix)) {
+                        const sel = '[id$=' + cssQuote('--' + suffix) + ']';
+                        add('id', sel, 90, countCss(sel, root));
+                    }
+                }
+
+                // 2. data-* / aria 등 안정적인 속성
+                STABLE_ATTRIBUTES.forEach((attr, i) => {
+                    const val = el.getAttribute(attr);
+                    if (!val || val.length > 100) return;
+                    const sel = tag + '[' + attr + '=' + cssQuote(val) + ']';
+                    add('attribute', sel, 95 - i * 3, countCss(sel, root));
+                });
+                Array.from(el.attributes).forEach(attr => {
+                    if (!attr.name.startsWith('data-') || STABLE_ATTRIBUTES.includes(attr.name)) return;
+                    if (!attr.value || attr.value.length > 50) return;
+                    const sel = tag + '[' + attr.name + '=' + cssQuote(attr.value) + ']';
+                    add('attribute', sel, 60, countCss(sel, root));
+                });
+
+                // 3. 라벨 연결 (label[for], 감싸는 label, aria-labelledby)
+                const labelText = getLabelText(el);
+                if (labelText && labelText.length <= 50) {
+                    add('label', labelText, 75, countLabel(labelText, root));
+                }
+
+                // 4. 보이는 텍스트
+                if (TEXT_TAGS.includes(tag)) {
+                    const text = normalizeText(el.innerText);
+                    if (text && text.length <= 50) {
+                        add('text', text, 70, countText(tag, text, root), { tagName: tag });
+                    }
+                }
+
+                // 5. XPath
+                if (!host) {
+                    const xpath = getXPath(el);
+                    add('xpath', xpath, 40, countXPath(xpath));
+                }
+
+                // 6. 구조 경로 (기존 방식)
+                const css = getLocalSelector(el);
+                add('css', css, 20, countCss(css, root));
+
+                return candidates.sort((a, b) => b.score - a.score).slice(0, MAX_CANDIDATES);
+            }
+
+            // ---------------------------------------------------------
+            // SAP UI5 컨트롤 정보 수집
+            // - DOM 요소를 소유한 UI5 컨트롤을 찾아 타입/안정 id/바인딩 정보를 기록한다.
+            // ---------------------------------------------------------
+
+            const UI5_MAX_PROPERTIES = 20;
+
+            function getUI5Core() {
+                const sap = window.sap;
+                if (!sap || !sap.ui) return null;
+                return sap;
+            }
+
+            function findUI5Control(el) {
+                const sap = getUI5Core();
+                if (!sap) return null;
+
+                try {
+                    // UI5 1.106+ : Element.closestTo
+                    const UI5Element = sap.ui.require && sap.ui.require('sap/ui/core/Element');
+                    if (UI5Element && typeof UI5Element.closestTo === 'function') {
+                        return UI5Element.closestTo(el) || null;
+                    }
+
+                    // 구버전 : data-sap-ui 속성을 가진 가장 가까운 요소
+                    const owner = el.closest('[data-sap-ui]');
+                    if (owner && sap.ui.getCore) return sap.ui.getCore().byId(owner.id) || null;
+                } catch (e) {}
+
+                return null;
+            }
+
+            function getUI5BindingPath(control) {
+                try {
+                    const context = control.getBindingContext && control.getBindingContext();
+                    if (context) return context.getPath();
+                } catch (e) {}
+                return null;
+            }
+
+            function getUI5PropertyBindings(control, names) {
+                const bindings = {};
+                names.forEach(name => {
+                    try {
+                        const info = control.getBindingInfo(name);
+                        if (!info) return;
+                        const parts = info.parts || [info];
+                        const paths = parts.map(p => (p.model ? p.model + '>' : '') + (p.path || '')).filter(Boolean);
+                        if (paths.length > 0) bindings[name] = paths.join(',');
+                    } catch (e) {}
+                });
+                return bindings;
+            }
+
+            function getUI5Properties(control) {
+                const properties = {};
+                try {
+                    const names = Object.keys(control.getMetadata().getAllProperties());
+                    names.slice(0, UI5_MAX_PROPERTIES).forEach(name => {
+                        const value = control.getProperty(name);
+                        if (value === null || value === undefined || value === '') return;
+                        if (typeof value === 'string' && value.length > 100) return;
+                        if (['string', 'number', 'boolean'].includes(typeof value)) properties[name] = value;
+                    });
+                } catch (e) {}
+                return properties;
+            }
+
+            /**
+             * UI5 컨트롤 정보
+             * @returns {{type: string, id: string, stableId: string|null, bindingPath: string|null, bindings: Object, properties: Object}|null}
+             */
+            function getUI5Info(el) {
+                const control = findUI5Control(el);
+                if (!control) return null;
+
+                try {
+                    const id = control.getId();
+                    const suffix = id.split('--').pop();
+                    const propertyNames = Object.keys(control.getMetadata().getAllProperties());
+
+                    return {
+                        type: control.getMetadata().getName(),
+                        id: id,
+                        stableId: isStableId(suffix) ? suffix : null,
+                        bindingPath: getUI5BindingPath(control),
+                        bindings: getUI5PropertyBindings(control, propertyNames),
+                        properties: getUI5Properties(control)
+                    };
+                } catch (e) {
+                    return null;
+                }
+            }
+
+            // 액션 대상 요소 정보 (기존 selector + 후보 목록 + UI5 컨트롤)
+            function describeTarget(el) {
+                const target = {
+                    selector: getSelector(el),
+                    selectors: getSelectorCandidates(el)
+                };
+
+                const ui5 = getUI5Info(el);
+                if (ui5) {
+                    // 마스킹 대상 필드는 UI5 속성(value 등)으로도 값이 남지 않도록 제거
+                    if (getSecretName(el, el.value)) {
+                        Object.keys(ui5.properties).forEach(name => {
+                            if (ui5.properties[name] === el.value) delete ui5.properties[name];
+                        });
+                    }
+                    target.ui5 = ui5;
+                }
+
+                if (config.captureSnapshots) target.snapshot = getElementSnapshot(el);
+
+                return target;
+            }
+
+            // 단계별 스냅샷 (요소 위치는 요소가 속한 프레임의 뷰포트 기준)
+            function getElementSnapshot(el) {
+                const rect = el.getBoundingClientRect();
+                let html = '';
+                try {
+                    // 마스킹 대상 필드는 value 속성을 제거한 복사본 사용
+                    const node = getSecretName(el, el.value) ? el.cloneNode(true) : el;
+                    if (node !== el) node.removeAttribute('value');
+                    html = node.outerHTML || '';
+                } catch (e) {}
+
+                const maxLength = config.snapshotHtmlMaxLength || 2000;
+                return {
+                    html: html.length > maxLength ? html.slice(0, maxLength) + '…' : html,
+                    htmlLength: html.length,
+                    text: normalizeText(el.innerText).slice(0, 500),
+                    boundingBox: {
+                        x: Math.round(rect.left),
+                        y: Math.round(rect.top),
+                        width: Math.round(rect.width),
+                        height: Math.round(rect.height)
+                    },
+                    viewport: { width: window.innerWidth, height: window.innerHeight, scrollX: window.scrollX, scrollY: window.scrollY },
+                    url: location.href,
+                    title: document.title
+                };
+            }
+
+            // ---------------------------------------------------------
+            // 민감 값 마스킹
+            // - 값 대신 "{{secret:이름}}" 자리표시자를 기록하고, 재생 시 Secret Provider 에서 실제 값을 조회한다.
+            // ---------------------------------------------------------
+
+            const secretRules = (config.secretRules || []).map(rule => {
+                let pattern = null;
+                try { if (rule.pattern) pattern = new RegExp(rule.pattern.source, rule.pattern.flags); } catch (e) {}
+                return { name: rule.name, selector: rule.selector, pattern };
+            });
+
+            // 마스킹이 확정된 필드 (pattern 일치 후 값이 바뀌어도 계속 마스킹)
+            const secretFields = new WeakMap();
+
+            function toSecretName(value) {
+                return String(value || '').replace(/[^\w.-]+/g, '_') || 'secret';
+            }
+
+            /**
+             * 마스킹 대상이면 자리표시자 이름, 아니면 null
+             * - 이미 마스킹된 필드, 규칙(selector/pattern), type=password 순
+             */
+            function getSecretName(el, value) {
+                if (el && secretFields.has(el)) return secretFields.get(el);
+
+                for (const rule of secretRules) {
+                    let matched = false;
+                    try { matched = !!(rule.selector && el.matches && el.matches(rule.selector)); } catch (e) {}
+                    if (!matched && rule.pattern && typeof value === 'string' && value) {
+                        rule.pattern.lastIndex = 0;
+                        matched = rule.pattern.test(value);
+                    }
+                    if (matched) {
+                        const name = toSecretName(rule.name);
+                        if (el) secretFields.set(el, name);
+                        return name;
+                    }
+                }
+
+                if (config.maskPasswords && el.type === 'password') {
+                    const name = el.getAttribute('name') || (isStableId(el.id) ? el.id : '') || 'password';
+                    return toSecretName(name);
+                }
+                return null;
+            }
+
+            // 입력 문자를 만드는 키 (인쇄 가능 문자, 조합 중인 dead key 등)
+            function isCharacterKey(key) {
+                return Array.from(key || '').length === 1 || ['Dead', 'Process', 'Unidentified'].includes(key);
+            }
+
+            // 액션 값 마스킹 (입력 문자 data 도 제거)
+            function maskValue(action, el) {
+                const name = getSecretName(el, action.value);
+                if (!name) return action;
+
+                action.value = '{{secret:' + name + '}}';
+                action.secret = name;
+                delete action.data;
+
+                // 스냅샷 스크린샷에 입력 값이 보이지 않도록 가림
+                if (config.captureSnapshots) hideSecretField(el);
+                return action;
+            }
+
+            function hideSecretField(el) {
+                if (el.hasAttribute('u4a-secret')) return;
+                el.setAttribute('u4a-secret', '');
+
+                const root = el.getRootNode();
+                const container = root.head || root;
+                if (!container.querySelector || container.querySelector('style[u4a-secret-style]')) return;
+                const style = document.createElement('style');
+                style.setAttribute('u4a-secret-style', '');
+                style.textContent = '[u4a-secret] { -webkit-text-security: disc !important; }';
+                container.appendChild(style);
+            }
+
+            // 요소 기준 포인터 좌표 (clientX/Y + 요소 내부 오프셋)
+            function getPointer(el, e) {
+                const pointer = { x: e.clientX, y: e.clientY };
+                if (el && el.getBoundingClientRect) {
+                    const rect = el.getBoundingClientRect();
+                    pointer.offsetX = Math.round(e.clientX - rect.left);
+                    pointer.offsetY = Math.round(e.clientY - rect.top);
+                }
+                return pointer;
+            }
+
+            // 녹화 툴바 내부 이벤트 (수집 제외)
+            function isToolbarNode(node) {
+                return !!(node && node.nodeType === 1 && node.closest && node.closest('[data-u4a-toolbar]'));
+            }
+
+            function isToolbarEvent(e) {
+                const path = e.composedPath ? e.composedPath() : [e.target];
+                return path.some(node => node && node.nodeType === 1 && node.hasAttribute('data-u4a-toolbar'));
+            }
+
             // 이벤트 리스너 등록 함수
             function registerEventListeners() {
                 // 1. Click
                 document.addEventListener('click', (e) => {
+                    if (suppressClick || isToolbarEvent(e)) return; // drag 직후 click, 툴바 클릭
+
+                    const target = getEventTarget(e);
                     const actionData = {
                         type: 'click',
-                        selector: getSelector(e.target),
+                        ...describeTarget(target),
                         x: e.clientX,
                         y: e.clientY
                     };
-                    if (e.target.type === 'checkbox' || e.target.type === 'radio') {
-                        actionData.checked = e.target.checked;
+                    if (target.type === 'checkbox' || target.type === 'radio') {
+                        actionData.checked = target.checked;
                     }
                     window.u4arec.onUserAction(actionData);
                 }, true);
 
                 // 2. Input (키보드 입력 값)
                 document.addEventListener('input', (e) => {
-                    if (e.target.type === 'checkbox' || e.target.type === 'radio') return;
+                    if (isToolbarEvent(e)) return;
+                    const target = getEventTarget(e);
+                    if (target.type === 'checkbox' || target.type === 'radio' || target.type === 'file') return;
                     
                     const action = {
                         type: 'input',
-                        selector: getSelector(e.target),
-                        value: e.target.value
+                        ...describeTarget(target),
+                        value: target.value
                     };
+
+                    // 키 입력 단위 재생용 (InputEvent)
+                    if (e.inputType) {
+                        action.inputType = e.inputType;
+                        if (e.data !== null && e.data !== undefined) action.data = e.data;
+                    }
                     
-                    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
-                        action.selectionStart = e.target.selectionStart;
-                        action.selectionEnd = e.target.selectionEnd;
+                    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
+                        action.selectionStart = target.selectionStart;
+                        action.selectionEnd = target.selectionEnd;
                     }
                     
-                    window.u4arec.onUserAction(action);
+                    window.u4arec.onUserAction(maskValue(action, target));
                 }, true);
 
-                // 3. Change (값 변경 완료)
-                document.addEventListener('change', (e) => {
+                // 3. Change (값 변경 완료, composed 되지 않으므로 shadow root 에도 등록)
+                const onChange = (e) => {
+                    if (isToolbarEvent(e)) return;
+                    const target = getEventTarget(e);
+
+                    // 파일 선택은 file_upload 로 기록 (값은 C:\fakepath\... 이므로 사용 불가)
+                    if (target.type === 'file') {
+                        window.u4arec.onUserAction({
+                            type: 'file_upload',
+                            ...describeTarget(target),
+                            multiple: !!target.multiple,
+                            files: Array.from(target.files || []).map(file => ({
+                                name: file.name,
+                                size: file.size,
+                                type: file.type
+                            }))
+                        });
+                        return;
+                    }
+
                     const actionData = {
                         type: 'change',
-                        selector: getSelector(e.target)
+                        ...describeTarget(target),
                     };
-                    if (e.target.type === 'checkbox' || e.target.type === 'radio') {
-                        actionData.checked = e.target.checked;
+                    if (target.type === 'checkbox' || target.type === 'radio') {
+                        actionData.checked = target.checked;
                     } else {
-                        actionData.value = e.target.value;
+                        actionData.value = target.value;
+                        maskValue(actionData, target);
                     }
                     window.u4arec.onUserAction(actionData);
-                }, true);
+                };
+                document.addEventListener('change', onChange, true);
+
+                // 4. Keydown (특수키, 기능키, 조합키)
+                const captureKeys = config.captureKeys || [];
+                const MODIFIER_KEYS = ['Control', 'Shift', 'Alt', 'Meta', 'AltGraph', 'CapsLock'];
 
-                // 4. Keydown (특수키 등)
                 document.addEventListener('keydown', (e) => {
-                    if (e.ctrlKey || e.altKey || e.metaKey) return;
-                    
-                    const captureKeys = [
-                        'Enter', 'Tab', 'Escape', 
-                        'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 
-                        'Backspace', 'Delete', 'Home', 'End', 
-                        'PageUp', 'PageDown', 'Insert', ' '
-                    ];
-                    
-                    if (captureKeys.includes(e.key)) {
-                        window.u4arec.onUserAction({
-                            type: 'keydown',
-                            selector: getSelector(e.target),
-                            key: e.key === ' ' ? 'Space' : e.key
-                        });
-                    }
+                    if (MODIFIER_KEYS.includes(e.key) || e.isComposing || isToolbarEvent(e)) return;
+
+                    // Ctrl/Alt/Meta 조합 (Shift 단독은 일반 문자 입력)
+                    const isCombo = e.ctrlKey || e.altKey || e.metaKey;
+                    if (isCombo && !config.captureModifierCombos) return;
+                    if (!isCombo && !captureKeys.includes(e.key)) return;
+
+                    // 마스킹 대상 필드: 문자 키(Space, AltGr/Option 문자 포함)는 기록하지 않고, 그 외 키도 물리 키 코드(code)는 남기지 않음
+                    const target = getEventTarget(e);
+                    const isSecretField = !!getSecretName(target, target.value);
+                    if (isSecretField && isCharacterKey(e.key)) return;
+
+                    const modifiers = [];
+                    if (e.ctrlKey) modifiers.push('Control');
+                    if (e.altKey) modifiers.push('Alt');
+                    if (e.metaKey) modifiers.push('Meta');
+                    if (e.shiftKey) modifiers.push('Shift');
+
+                    const action = {
+                        type: 'keydown',
+                        ...describeTarget(target),
+                        key: e.key === ' ' ? 'Space' : e.key
+                    };
+                    if (!isSecretField) action.code = e.code;
+                    if (modifiers.length > 0) action.modifiers = modifiers;
+
+                    window.u4arec.onUserAction(action);
                 }, true);
 
                 // 5. Scroll
                 let scrollTimeout = null;
-                let scrollStartX = null, scrollStartY = null, scrollStartTime = null, scrollTarget = null;
+                let scrollStartX = null, scrollStartY = null, scrollStartTime = null, scrollTarget = null, scrollSelectors = null;
 
-                document.addEventListener('scroll', (e) => {
-                    const target = e.target === document ? 'window' : getSelector(e.target);
-                    const currentX = window.scrollX || e.target.scrollLeft || 0;
-                    const currentY = window.scrollY || e.target.scrollTop || 0;
+                // (composed 되지 않으므로 shadow root 에도 등록)
+                const onScroll = (e) => {
+                    if (isToolbarEvent(e)) return;
+                    const el = e.target === document ? document : getEventTarget(e);
+                    const target = el === document ? 'window' : getSelector(el);
+                    const currentX = window.scrollX || el.scrollLeft || 0;
+                    const currentY = window.scrollY || el.scrollTop || 0;
 
                     if (scrollStartTime === null || scrollTarget !== target) {
                         scrollStartX = currentX;
                         scrollStartY = currentY;
                         scrollStartTime = Date.now();
                         scrollTarget = target;
+                        scrollSelectors = el === document ? null : getSelectorCandidates(el);
                     }
 
                     clearTimeout(scrollTimeout);
@@ -598,40 +1696,195 @@ class Recorder extends EventEmitter {
                         window.u4arec.onUserAction({
                             type: 'scroll',
                             selector: scrollTarget,
+                            ...(scrollSelectors ? { selectors: scrollSelectors } : {}),
                             startScrollX: scrollStartX,
                             startScrollY: scrollStartY,
                             scrollX: currentX,
                             scrollY: currentY,
                             duration: Date.now() - scrollStartTime
                         });
-                        scrollStartX = null; scrollStartY = null; scrollStartTime = null; scrollTarget = null;
+                        scrollStartX = null; scrollStartY = null; scrollStartTime = null; scrollTarget = null; scrollSelectors = null;
                     }, 150);
+                };
+                document.addEventListener('scroll', onScroll, true);
+
+                // 6. Resize (최상위 프레임에서만 수집)
+                if (window === window.top) {
+                    let resizeTimeout = null;
+                    let initialWidth = window.outerWidth;
+                    let initialHeight = window.outerHeight;
+
+                    window.addEventListener('resize', () => {
+                        clearTimeout(resizeTimeout);
+                        resizeTimeout = setTimeout(() => {
+                            const currentWidth = window.outerWidth;
+                            const currentHeight = window.outerHeight;
+                        
+                            if (initialWidth !== currentWidth || initialHeight !== currentHeight) {
+                                window.u4arec.onUserAction({
+                                    type: 'browser_resize',
+                                    fromWidth: initialWidth,
+                                    fromHeight: initialHeight,
+                                    toWidth: currentWidth,
+                                    toHeight: currentHeight
+                                });
+                                initialWidth = currentWidth;
+                                initialHeight = currentHeight;
+                            }
+                        }, 300);
+                    });
+
+                    // 7. 탭 활성화 (tab_switch 판단용)
+                    document.addEventListener('visibilitychange', () => {
+                        if (document.visibilityState === 'visible') {
+                            window.u4arec.onUserAction({ type: 'tab_focus' });
+                        }
+                    });
+                }
+
+                // 8. Double Click
+                document.addEventListener('dblclick', (e) => {
+                    if (isToolbarEvent(e)) return;
+                    const target = getEventTarget(e);
+                    window.u4arec.onUserAction({
+                        type: 'dblclick',
+                        ...describeTarget(target),
+                        ...getPointer(target, e)
+                    });
+                }, true);
+
+                // 9. Context Menu (우클릭)
+                document.addEventListener('contextmenu', (e) => {
+                    if (isToolbarEvent(e)) return;
+                    const target = getEventTarget(e);
+                    window.u4arec.onUserAction({
+                        type: 'contextmenu',
+                        ...describeTarget(target),
+                        ...getPointer(target, e)
+                    });
                 }, true);
 
-                // 6. Resize
-                let resizeTimeout = null;
-                let initialWidth = window.outerWidth;
-                let initialHeight = window.outerHeight;
+                // 10. Hover (체류 중 DOM 변화가 있는 경우만 - 호버 메뉴/툴팁 등)
+                const hoverDelay = config.hoverDelay || 500;
+                let hoverTimer = null, hoverTarget = null, hoverMutations = 0, lastHoverTarget = null;
 
-                window.addEventListener('resize', () => {
-                    clearTimeout(resizeTimeout);
-                    resizeTimeout = setTimeout(() => {
-                        const currentWidth = window.outerWidth;
-                        const currentHeight = window.outerHeight;
-                        
-                        if (initialWidth !== currentWidth || initialHeight !== currentHeight) {
-                            window.u4arec.onUserAction({
-                                type: 'browser_resize',
-                                fromWidth: initialWidth,
-                                fromHeight: initialHeight,
-                                toWidth: currentWidth,
-                                toHeight: currentHeight
-                            });
-                            initialWidth = currentWidth;
-                            initialHeight = currentHeight;
-                        }
-                    }, 300);
+                const hoverObserver = new MutationObserver((records) => {
+                    hoverMutations += records.filter(r => !isToolbarNode(r.target)).length;
                 });
+                hoverObserver.observe(document, { childList: true, subtree: true, attributes: true, attributeFilter: ['class', 'style', 'hidden', 'aria-expanded'] });
+
+                document.addEventListener('mouseover', (e) => {
+                    if (isToolbarEvent(e)) {
+                        clearTimeout(hoverTimer);
+                        hoverTarget = null;
+                        return;
+                    }
+                    const target = getEventTarget(e);
+                    if (target === hoverTarget) return;
+
+                    clearTimeout(hoverTimer);
+                    hoverTarget = target;
+                    hoverMutations = 0;
+
+                    const pointer = getPointer(target, e);
+
+                    hoverTimer = setTimeout(() => {
+                        if (dragState || target === lastHoverTarget || hoverMutations === 0) return;
+                        lastHoverTarget = target;
+                        window.u4arec.onUserAction({
+                            type: 'hover',
+                            ...describeTarget(target),
+                            ...pointer,
+                            duration: hoverDelay
+                        });
+                    }, hoverDelay);
+                }, true);
+
+                // 클릭/키 입력 시 대기 중인 hover 취소
+                const cancelHover = () => { clearTimeout(hoverTimer); lastHoverTarget = hoverTarget; };
+                document.addEventListener('mousedown', cancelHover, true);
+                document.addEventListener('keydown', cancelHover, true);
+
+                // 11. Drag (마우스 이동 경로 샘플링 / HTML5 Drag & Drop 포함)
+                const dragThreshold = config.dragThreshold || 10;
+                const pathInterval = config.mousePathInterval || 50;
+                let dragState = null;
+                let suppressClick = false;
+
+                const sampleDrag = (e) => {
+                    if (!dragState) return;
+                    const now = Date.now();
+                    if (e.clientX === 0 && e.clientY === 0) return; // 일부 drag 이벤트의 무효 좌표
+                    dragState.lastX = e.clientX;
+                    dragState.lastY = e.clientY;
+                    if (now - dragState.lastSample < pathInterval) return;
+                    dragState.lastSample = now;
+                    dragState.path.push({ x: e.clientX, y: e.clientY, t: now - dragState.startTime });
+                };
+
+                const finishDrag = () => {
+                    const state = dragState;
+                    dragState = null;
+                    if (!state) return;
+
+                    const distance = Math.hypot(state.lastX - state.startX, state.lastY - state.startY);
+                    if (distance < dragThreshold) return;
+
+                    const endTarget = elementFromPointDeep(state.lastX, state.lastY) || state.target;
+                    const endPointer = getPointer(endTarget, { clientX: state.lastX, clientY: state.lastY });
+
+                    state.path.push({ x: state.lastX, y: state.lastY, t: Date.now() - state.startTime });
+                    suppressClick = true;
+                    setTimeout(() => { suppressClick = false; }, 0);
+
+                    window.u4arec.onUserAction({
+                        type: 'drag',
+                        ...describeTarget(state.target),
+                        ...state.pointer,
+                        to: {
+                            ...describeTarget(endTarget),
+                            offsetX: endPointer.offsetX,
+                            offsetY: endPointer.offsetY
+                        },
+                        endX: state.lastX,
+                        endY: state.lastY,
+                        path: state.path,
+                        duration: Date.now() - state.startTime
+                    });
+                };
+
+                document.addEventListener('mousedown', (e) => {
+                    if (e.button !== 0 || isToolbarEvent(e)) return;
+                    const target = getEventTarget(e);
+                    dragState = {
+                        target: target,
+                        pointer: getPointer(target, e),
+                        startX: e.clientX, startY: e.clientY,
+                        lastX: e.clientX, lastY: e.clientY,
+                        startTime: Date.now(), lastSample: Date.now(),
+                        path: [{ x: e.clientX, y: e.clientY, t: 0 }]
+                    };
+                }, true);
+                document.addEventListener('mousemove', sampleDrag, true);
+                document.addEventListener('dragover', sampleDrag, true);
+                document.addEventListener('mouseup', finishDrag, true);
+                document.addEventListener('dragend', finishDrag, true);
+
+                // 12. Shadow root (기존 + 이후 생성)
+                onShadowRoot = (root) => {
+                    root.addEventListener('change', onChange, true);
+                    root.addEventListener('scroll', onScroll, true);
+                };
+                const collectShadowRoots = (node) => {
+                    node.querySelectorAll('*').forEach(el => {
+                        if (!el.shadowRoot) return;
+                        shadowRoots.add(el.shadowRoot);
+                        collectShadowRoots(el.shadowRoot);
+                    });
+                };
+                collectShadowRoots(document);
+                shadowRoots.forEach(onShadowRoot);
+
             }
 
             if (document.readyState === 'loading') {
@@ -0,0 +1,296 @@
+/**
+ * Recorder 녹화 툴바 모듈
+ * - 녹화 중인 페이지(최상위 프레임)에 오버레이 툴바를 표시한다.
+ *   (녹화 표시, 일시정지/재개/중지 버튼, 요소 선택기)
+ * - 요소 선택기로 assert_text / assert_visible / assert_value 검증 단계와 marker 단계를 작성하며,
+ *   작성된 단계는 녹화 스크립트(window.u4arec)를 통해 일반 액션과 동일하게 __u4arecCallback 으로 전달된다.
+ * - 툴바 내부 이벤트는 data-u4a-toolbar 속성으로 구분되어 녹화 스크립트에서 수집되지 않는다.
+ */
+
+/**
+ * [브라우저 실행] 툴바 설치
+ * - evaluateOnNewDocument 로 직렬화되어 실행되므로 외부 변수를 참조하지 않는다.
+ */
+function installToolbar() {
+    if (window !== window.top || window.u4arecToolbar) return;
+
+    let state = 'RECORDING';
+    let picking = null;     // 선택 중인 단계 종류
+    let root = null, overlay = null, statusEl = null, pauseBtn = null, hintEl = null;
+
+    const normalizeText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+    const sendCommand = (command) => {
+        if (!window.__u4arecToolbarCommand) return Promise.resolve(null);
+        return window.__u4arecToolbarCommand(command).then(setState).catch(() => null);
+    };
+
+    const sendAction = (action) => {
+        if (window.u4arec && window.u4arec.onUserAction) window.u4arec.onUserAction(action);
+    };
+
+    // ---------------------------------------------------------
+    // 요소 선택기
+    // ---------------------------------------------------------
+
+    const PICK_EVENTS = ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'click', 'dblclick', 'contextmenu'];
+
+    const getTarget = (e) => {
+        const path = e.composedPath ? e.composedPath() : [];
+        return path.find(node => node && node.nodeType === 1) || e.target;
+    };
+
+    const isOwnNode = (node) => !!(root && node && root.contains(node));
+
+    const onPickMove = (e) => {
+        const target = getTarget(e);
+        if (isOwnNode(target)) return;
+        e.stopImmediatePropagation();
+
+        const rect = target.getBoundingClientRect();
+        Object.assign(overlay.style, {
+            display: 'block',
+            left: rect.left + 'px',
+            top: rect.top + 'px',
+            width: rect.width + 'px',
+            height: rect.height + 'px'
+        });
+    };
+
+    const onPickEvent = (e) => {
+        const target = getTarget(e);
+        if (isOwnNode(target)) return;
+
+        // 페이지로 전달하지 않음 (앱 동작 및 녹화 제외)
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        if (e.type === 'click') {
+            const kind = picking;
+            stopPicking();
+            createStep(kind, target);
+        }
+    };
+
+    const onPickKey = (e) => {
+        if (e.key !== 'Escape') return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        stopPicking();
+    };
+
+    const startPicking = (kind) => {
+        if (state !== 'RECORDING') return;
+        stopPicking();
+        picking = kind;
+
+        window.addEventListener('mouseover', onPickMove, true);
+        window.addEventListener('mousemove', onPickMove, true);
+        PICK_EVENTS.forEach(type => window.addEventListener(type, onPickEvent, true));
+        window.addEventListener('keydown', onPickKey, true);
+
+        hintEl.textContent = kind + ' : 요소를 클릭하세요 (Esc 취소)';
+        hintEl.style.display = 'block';
+    };
+
+    const stopPicking = () => {
+        if (!picking) return;
+        picking = null;
+
+        window.removeEventListener('mouseover', onPickMove, true);
+        window.removeEventListener('mousemove', onPickMove, true);
+        PICK_EVENTS.forEach(type => window.removeEventListener(type, onPickEvent, true));
+        window.removeEventListener('keydown', onPickKey, true);
+
+        overlay.style.display = 'none';
+        hintEl.style.display = 'none';
+    };
+
+    // 선택된 요소로 검증 단계 작성
+    const createStep = (kind, el) => {
+        if (!window.u4arec || !window.u4arec.describe) return;
+
+        const action = { type: kind, ...window.u4arec.describe(el) };
+
+        switch (kind) {
+            case 'assert_text':
+                action.expected = normalizeText(el.innerText || el.textContent);
+                break;
+            case 'assert_value':
+                action.expected = el.type === 'checkbox' || el.type === 'radio' ? el.checked : (el.value || '');
+                // 비밀 값 필드는 자리표시자로 기록
+                if (typeof action.expected === 'string' && window.u4arec.mask) {
+                    const masked = window.u4arec.mask({ value: action.expected }, el);
+                    action.expected = masked.value;
+                    if (masked.secret) action.secret = masked.secret;
+                }
+                break;
+        }
+
+        sendAction(action);
+        flash(kind + ' 추가됨');
+    };
+
+    const addMarker = () => {
+        if (state !== 'RECORDING') return;
+        const label = window.prompt('Marker 이름', '');
+        if (label === null || !normalizeText(label)) return;
+
+        sendAction({ type: 'marker', label: normalizeText(label) });
+        flash('marker 추가됨');
+    };
+
+    const flash = (text) => {
+        hintEl.textContent = text;
+        hintEl.style.display = 'block';
+        setTimeout(() => { if (!picking) hintEl.style.display = 'none'; }, 1200);
+    };
+
+    // ---------------------------------------------------------
+    // 상태 표시
+    // ---------------------------------------------------------
+
+    const setState = (next) => {
+        if (!next) return;
+        state = next;
+        if (!root) return;
+
+        if (state !== 'RECORDING') stopPicking();
+
+        root.style.display = (state === 'RECORDING' || state === 'PAUSED') ? 'flex' : 'none';
+        root.classList.toggle('u4a-rec-paused', state === 'PAUSED');
+        statusEl.textContent = state === 'PAUSED' ? '❚❚ PAUSED' : '● REC';
+        pauseBtn.textContent = state === 'PAUSED' ? '▶ Resume' : '❚❚ Pause';
+        root.querySelectorAll('[data-step]').forEach(btn => { btn.disabled = state !== 'RECORDING'; });
+    };
+
+    // ---------------------------------------------------------
+    // 툴바 생성
+    // ---------------------------------------------------------
+
+    const create = () => {
+        if (document.getElementById('u4a-rec-toolbar')) return;
+
+        const style = document.createElement('style');
+        style.setAttribute('data-u4a-toolbar', '');
+        style.textContent = `
+            .u4a-rec-toolbar {
+                position: fixed; top: 12px; right: 12px; z-index: 2147483647;
+                display: flex; align-items: center; gap: 6px; padding: 6px 10px;
+                background: rgba(30, 30, 30, 0.92); color: #fff; border-radius: 8px;
+                font: 12px system-ui, -apple-system, sans-serif; box-shadow: 0 4px 14px rgba(0, 0, 0, 0.3);
+            }
+            .u4a-rec-toolbar button {
+                background: #3a3a3a; color: #fff; border: 1px solid #555; border-radius: 4px;
+                padding: 3px 8px; font: inherit; cursor: pointer;
+            }
+            .u4a-rec-toolbar button:hover { background: #4a4a4a; }
+            .u4a-rec-toolbar button:disabled { opacity: 0.4; cursor: default; }
+            .u4a-rec-status { color: #ff4d4f; font-weight: 600; min-width: 70px; }
+            .u4a-rec-paused .u4a-rec-status { color: #faad14; }
+            .u4a-rec-hint {
+                position: absolute; top: 100%; right: 0; margin-top: 4px; padding: 4px 8px;
+                background: rgba(0, 122, 255, 0.95); border-radius: 4px; white-space: nowrap; display: none;
+            }
+            .u4a-rec-pick-overlay {
+                position: fixed; z-index: 2147483646; pointer-events: none; display: none;
+                border: 2px solid #007aff; background: rgba(0, 122, 255, 0.1);
+            }
+        `;
+
+        root = document.createElement('div');
+        root.id = 'u4a-rec-toolbar';
+        root.className = 'u4a-rec-toolbar';
+        root.setAttribute('data-u4a-toolbar', '');
+        root.innerHTML = `
+            <span class="u4a-rec-status"></span>
+            <button type="button" data-command="pause"></button>
+            <button type="button" data-command="stop">■ Stop</button>
+            <button type="button" data-step="assert_text">Text</button>
+            <button type="button" data-step="assert_visible">Visible</button>
+            <button type="button" data-step="assert_value">Value</button>
+            <button type="button" data-step="marker">Marker</button>
+            <div class="u4a-rec-hint"></div>
+        `;
+
+        overlay = document.createElement('div');
+        overlay.className = 'u4a-rec-pick-overlay';
+        overlay.setAttribute('data-u4a-toolbar', '');
+        root.appendChild(overlay);
+
+        statusEl = root.querySelector('.u4a-rec-status');
+        pauseBtn = root.querySelector('[data-command="pause"]');
+        hintEl = root.querySelector('.u4a-rec-hint');
+
+        root.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn) return;
+
+            const command = btn.getAttribute('data-command');
+            if (command === 'pause') sendCommand(state === 'PAUSED' ? 'resume' : 'pause');
+            else if (command === 'stop') sendCommand('stop');
+
+            const step = btn.getAttribute('data-step');
+            if (step === 'marker') addMarker();
+            else if (step) startPicking(step);
+        });
+
+        document.documentElement.appendChild(style);
+        document.documentElement.appendChild(root);
+
+        setState(state);
+        sendCommand('state');
+    };
+
+    window.u4arecToolbar = { setState };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', create);
+    } else {
+        create();
+    }
+}
+
+class RecorderToolbar {
+
+    /**
+     * @param {Page} page - Puppeteer Page
+     */
+    constructor(page) {
+        this.page = page;
+        this.isInjected = false;
+    }
+
+    /**
+     * 툴바 주입 (현재 문서 + 이후 로드되는 문서)
+     * @param {Function} onCommand - (command: 'state'|'pause'|'resume'|'stop') => 녹화 상태(RecorderState)
+     */
+    async inject(onCommand) {
+        if (!this.page || this.page.isClosed() || this.isInjected) return;
+        this.isInjected = true;
+
+        await Promise.all([
+            this.page.exposeFunction('__u4arecToolbarCommand', (command) => onCommand(command)).catch(() => {}),
+            this.page.evaluateOnNewDocument(installToolbar)
+        ]);
+        await this.page.mainFrame().evaluate(installToolbar).catch(() => {});
+    }
+
+    /**
+     * 녹화 상태 표시 (RECORDING / PAUSED 외에는 숨김)
+     * @param {string} state - RecorderState
+     */
+    async setState(state) {
+        if (!this.page || this.page.isClosed() || !this.isInjected) return;
+
+        try {
+            await this.page.evaluate((s) => {
+                if (window.u4arecToolbar) window.u4arecToolbar.setState(s);
+            }, state);
+        } catch (error) {
+            // 페이지 이동 중이면 새 문서에서 상태를 다시 조회한다
+        }
+    }
+}
+
+module.exports = RecorderToolbar;
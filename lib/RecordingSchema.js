@@ -0,0 +1,175 @@
+/**
+ * 녹화 문서 스키마 모듈 (Recorder.exportRecording / Replayer.play 공용)
+ *
+ * 녹화 문서 (schemaVersion 2)
+ * {
+ *   schemaVersion: 2,
+ *   metadata:    { type, url, recordingStartTime, recordingEndTime, durationMs, pauses, ... },
+ *   actions:     [ { type, timestamp, ... } ],
+ *   errors:      [ { type, message, timestamp, ... } ],
+ *   environment: { browserVersion, userAgent, viewport, platform, nodeVersion },
+ *   network:     HAR 1.2 (captureNetwork 사용 시)
+ * }
+ *
+ * 이전 형식 (schemaVersion 없음 = 1): getMetadata() 결과에 actions 를 합친 평면 객체
+ * { type, url, recordingStartTime, recordingEndTime, ..., actions, errors? }
+ */
+
+const SCHEMA_VERSION = 2;
+
+// 녹화 시각 범위 검사 허용 오차 (네비게이션은 이벤트 발생 시각으로 기록되므로)
+const TIMESTAMP_TOLERANCE_MS = 1000;
+
+const hasTarget = (a) => (typeof a.selector === 'string' && a.selector.length > 0)
+    || (Array.isArray(a.selectors) && a.selectors.length > 0);
+const isString = (v) => typeof v === 'string' && v.length > 0;
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * 액션 타입별 필수 항목 검사 (오류 메시지 배열 반환)
+ */
+const TARGET = (a) => hasTarget(a) ? [] : ['selector 또는 selectors 가 필요합니다.'];
+
+const ACTION_RULES = {
+    click:             TARGET,
+    input:             TARGET,
+    change:            TARGET,
+    dblclick:          TARGET,
+    contextmenu:       TARGET,
+    hover:             TARGET,
+    keydown:           (a) => [...TARGET(a), ...(isString(a.key) ? [] : ['key 가 필요합니다.'])],
+    scroll:            (a) => [
+        ...(isString(a.selector) ? [] : ['selector 가 필요합니다. (window 스크롤은 "window")']),
+        ...(isNumber(a.scrollX) && isNumber(a.scrollY) ? [] : ['scrollX/scrollY 는 숫자여야 합니다.'])
+    ],
+    drag:              (a) => [...TARGET(a), ...(isNumber(a.endX) && isNumber(a.endY) ? [] : ['endX/endY 는 숫자여야 합니다.'])],
+    file_upload:       (a) => [...TARGET(a), ...(Array.isArray(a.files) ? [] : ['files 배열이 필요합니다.'])],
+    browser_resize:    (a) => [
+        ...(isNumber(a.toWidth) && isNumber(a.toHeight) ? [] : ['toWidth/toHeight 는 숫자여야 합니다.']),
+        // viewportWidth/viewportHeight: DevTools setViewport 에서 가져온 뷰포트 크기 (선택)
+        ...((a.viewportWidth === undefined && a.viewportHeight === undefined) || (isNumber(a.viewportWidth) && isNumber(a.viewportHeight))
+            ? [] : ['viewportWidth/viewportHeight 는 숫자여야 합니다.'])
+    ],
+    navigate:          (a) => isString(a.url) ? [] : ['url 이 필요합니다.'],
+    tab_open:          (a) => isString(a.tabId) ? [] : ['tabId 가 필요합니다.'],
+    tab_switch:        (a) => isString(a.tabId) ? [] : ['tabId 가 필요합니다.'],
+    tab_close:         (a) => isString(a.tabId) ? [] : ['tabId 가 필요합니다.'],
+    marker:            () => [],
+    assert_text:       (a) => [...TARGET(a), ...(a.expected !== undefined ? [] : ['expected 가 필요합니다.'])],
+    assert_visible:    TARGET,
+    assert_hidden:     TARGET,
+    assert_value:      (a) => [...TARGET(a), ...(a.expected !== undefined ? [] : ['expected 가 필요합니다.'])],
+    assert_url:        (a) => a.expected !== undefined ? [] : ['expected 가 필요합니다.'],
+    assert_count:      (a) => [...TARGET(a), ...(Number.isInteger(Number(a.expected)) && a.expected !== '' && a.expected !== null ? [] : ['expected 는 정수여야 합니다.'])],
+    wait_for_selector: TARGET,
+    wait_ms:           (a) => isNumber(a.duration) && a.duration >= 0 ? [] : ['duration 은 0 이상의 숫자여야 합니다.']
+};
+
+const ACTION_TYPES = Object.keys(ACTION_RULES);
+
+/**
+ * 녹화 문서 → 현재 버전
+ * - 원본은 변경하지 않는다.
+ * @param {Object} recordData
+ * @returns {Object} schemaVersion 2 문서
+ */
+function migrateRecording(recordData) {
+    if (!recordData || typeof recordData !== 'object') return recordData;
+
+    const version = recordData.schemaVersion || 1;
+    if (version >= SCHEMA_VERSION) return recordData;
+
+    // v1 → v2 : 평면 메타데이터를 metadata 로 분리
+    const { actions, errors, consoleErrors, ...metadata } = recordData;
+    return {
+        schemaVersion: SCHEMA_VERSION,
+        metadata,
+        actions: actions,
+        errors: errors || consoleErrors || [],
+        environment: {}
+    };
+}
+
+/**
+ * 녹화 문서 검증 (이전 버전은 변환 후 검증)
+ * - 첫 오류에서 멈추지 않고 모든 오류를 수집한다.
+ * @param {Object} recordData
+ * @returns {{ valid: boolean, errors: Array<{index?: number, type?: string, path: string, message: string}>, recording: Object }}
+ */
+function validateRecording(recordData) {
+    const errors = [];
+
+    if (!recordData || typeof recordData !== 'object') {
+        errors.push({ path: '', message: '녹화 데이터가 객체가 아닙니다.' });
+        return { valid: false, errors, recording: recordData };
+    }
+
+    if (recordData.schemaVersion > SCHEMA_VERSION) {
+        errors.push({ path: 'schemaVersion', message: `지원하지 않는 스키마 버전입니다: ${recordData.schemaVersion} (최대 ${SCHEMA_VERSION})` });
+        return { valid: false, errors, recording: recordData };
+    }
+
+    const recording = migrateRecording(recordData);
+
+    if (!recording.metadata || typeof recording.metadata !== 'object') {
+        errors.push({ path: 'metadata', message: 'metadata 가 없습니다.' });
+    }
+    if (!Array.isArray(recording.actions)) {
+        errors.push({ path: 'actions', message: 'actions 배열이 없습니다.' });
+        return { valid: false, errors, recording };
+    }
+    if (recording.actions.length === 0) {
+        errors.push({ path: 'actions', message: '실행할 액션이 없습니다.' });
+    }
+
+    // 녹화 시각 범위 (있는 경우만)
+    const metadata = recording.metadata || {};
+    const startMs = metadata.recordingStartTime ? new Date(metadata.recordingStartTime).getTime() : NaN;
+    const endMs = metadata.recordingEndTime ? new Date(metadata.recordingEndTime).getTime() : NaN;
+    let prevTimestamp = null;   // 직전 액션 timestamp (역순 검사)
+
+    recording.actions.forEach((action, index) => {
+        const path = `actions[${index}]`;
+
+        if (!action || typeof action !== 'object') {
+            errors.push({ index, path, message: '액션이 객체가 아닙니다.' });
+            return;
+        }
+
+        const rule = ACTION_RULES[action.type];
+        if (!rule) {
+            errors.push({ index, type: action.type, path: `${path}.type`, message: `알 수 없는 액션 타입입니다: ${action.type}` });
+        } else {
+            rule(action).forEach(message => errors.push({ index, type: action.type, path, message }));
+        }
+
+        // 단계별 실행 옵션 (Replayer: 탐색/검증 제한 시간, 재시도 횟수)
+        if (action.timeout !== undefined && !(isNumber(action.timeout) && action.timeout >= 0)) {
+            errors.push({ index, type: action.type, path: `${path}.timeout`, message: 'timeout 은 0 이상의 숫자여야 합니다.' });
+        }
+        if (action.retries !== undefined && !(Number.isInteger(action.retries) && action.retries >= 0)) {
+            errors.push({ index, type: action.type, path: `${path}.retries`, message: 'retries 는 0 이상의 정수여야 합니다.' });
+        }
+
+        if (action.timestamp !== undefined) {
+            if (!isNumber(action.timestamp) || action.timestamp <= 0) {
+                errors.push({ index, type: action.type, path: `${path}.timestamp`, message: `timestamp 가 올바르지 않습니다: ${action.timestamp}` });
+            } else if ((!isNaN(startMs) && action.timestamp < startMs - TIMESTAMP_TOLERANCE_MS)
+                    || (!isNaN(endMs) && action.timestamp > endMs + TIMESTAMP_TOLERANCE_MS)) {
+                errors.push({ index, type: action.type, path: `${path}.timestamp`, message: '녹화 시작/종료 시각 범위를 벗어났습니다.' });
+            }
+
+            // 재생 대기 시간은 timestamp 차이이므로 감소하면 안 됨
+            if (isNumber(action.timestamp) && action.timestamp > 0) {
+                if (prevTimestamp !== null && action.timestamp < prevTimestamp) {
+                    errors.push({ index, type: action.type, path: `${path}.timestamp`, message: `timestamp 가 이전 액션보다 작습니다: ${action.timestamp} < ${prevTimestamp}` });
+                }
+                prevTimestamp = Math.max(prevTimestamp || 0, action.timestamp);
+            }
+        }
+    });
+
+    return { valid: errors.length === 0, errors, recording };
+}
+
+module.exports = { SCHEMA_VERSION, ACTION_TYPES, migrateRecording, validateRecording };
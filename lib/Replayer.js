@@ -1,6 +1,14 @@
-const puppeteer = require('puppeteer');
 const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const ReplayerEffects = require('./ReplayerEffects');
+const { openBrowser, selectPage, releaseBrowser } = require('./BrowserConnector');
+const { ElementLocator, ELEMENT_NOT_FOUND, FRAME_NOT_FOUND } = require('./ElementLocator');
+const UI5Driver = require('./UI5Driver');
+const { createSecretProvider, resolveSecrets, hasSecret, SECRET_NOT_FOUND } = require('./SecretProvider');
+const { NetworkReplayer, UNMATCHED_REQUEST } = require('./NetworkReplayer');
+const { validateRecording } = require('./RecordingSchema');
 
 /**
  * 상태 코드 (ReplayerStatusCode)
@@ -11,12 +19,21 @@ const ReplayerStatusCode = {
     
     LAUNCH_FAILED: 'LAUNCH_FAILED',
     ACTION_FAILED: 'ACTION_FAILED',
+    ELEMENT_NOT_FOUND: ELEMENT_NOT_FOUND,
+    FRAME_NOT_FOUND: FRAME_NOT_FOUND,
+    TAB_NOT_FOUND: 'TAB_NOT_FOUND',
+    FILE_NOT_FOUND: 'FILE_NOT_FOUND',
+    SECRET_NOT_FOUND: SECRET_NOT_FOUND,
+    ASSERTION_FAILED: 'ASSERTION_FAILED',
+    UNMATCHED_REQUEST: UNMATCHED_REQUEST,
     BUSY_TIMEOUT: 'BUSY_TIMEOUT',
     NO_PAGE_FOUND: 'NO_PAGE_FOUND',
     NO_URL_FOUND: 'NO_URL_FOUND',
     INVALID_DATA: 'INVALID_DATA',
+    INVALID_ACTION: 'INVALID_ACTION',
     ALREADY_LAUNCHED: 'ALREADY_LAUNCHED',
     NOT_PLAYING: 'NOT_PLAYING',
+    NOT_PAUSED: 'NOT_PAUSED',
     REQUEST_ERROR: 'REQUEST_ERROR',
 
     BROWSER_CONSOLE_ERROR: 'BROWSER_CONSOLE_ERROR'
@@ -30,6 +47,7 @@ const ReplayerState = {
     LAUNCHING: 'LAUNCHING', 
     LAUNCHED: 'LAUNCHED',   
     PLAYING: 'PLAYING',     
+    PAUSED: 'PAUSED',       // 재생 일시정지 (pause/breakpoint/step, resume 또는 step 으로 계속)
     CLOSING: 'CLOSING'      
 };
 
@@ -37,7 +55,8 @@ class Replayer extends EventEmitter {
     constructor(option = {}) {
         super();
 
-        if (!option.url) {
+        // 실행 중인 브라우저에 연결하는 경우 targetUrl 로 기존 탭을 지정할 수 있다
+        if (!option.url && !(option.connectOptions && option.targetUrl)) {
             throw new Error('[Replayer] URL은 필수입니다. option.url을 설정하세요.');
         }
 
@@ -46,11 +65,46 @@ class Replayer extends EventEmitter {
             type: 'web',
             busyIndicatorSelector: '.u4aUiBusyIndicator, .sapUiLocalBusyIndicator, .U4A_progress',
             busyTimeout: 60000 * 5,
+            navigationTimeout: 30000,
+            navigationWaitUntil: 'load',
+            keystrokeMode: false,   // true: input 을 값 할당 대신 실제 키 입력(page.keyboard.type)으로 재생
+            files: {},              // 파일 업로드 매핑 { '녹화된 파일명': '로컬 경로' | Buffer }
+            fileChooserWait: 1000,  // 업로드 직전 click 후 파일 선택 창 대기(ms), 열리지 않으면 file input 에 직접 지정
+            assertionTimeout: 5000, // 검증(assert_*)/대기(wait_for_selector) 단계 기본 제한 시간 (action.timeout 우선)
+            actionTimeout: 5000,    // 요소/프레임/팝업 탐색 기본 제한 시간 (action.timeout 우선)
+            // 실패한 단계 재시도 (action.retries 로 단계별 횟수 지정 가능)
+            retryCount: 0,          // 재시도 횟수 (0 = 재시도 없음)
+            retryDelay: 500,        // 첫 재시도 전 대기(ms)
+            retryBackoff: 2,        // 재시도마다 대기 시간 배수
+            // 재시도할 오류 (상태 코드 배열 | (error, action) => boolean), 코드가 없는 오류는 ACTION_FAILED
+            // - 기본은 탐색 실패만 재시도 (일부 실행된 click/drag 등의 중복 실행 방지, ACTION_FAILED 는 명시 시에만)
+            retryableErrors: ['ELEMENT_NOT_FOUND', 'FRAME_NOT_FOUND'],
+            // 오프라인 재생: 녹화된 HAR(객체 또는 파일 경로)로 응답
+            har: null,
+            harMatchBody: false,                        // 요청 본문까지 일치해야 매칭
+            harUnmatched: 'passthrough',                // HAR 에 없는 요청: 'passthrough' | 'block' | 'fail'
+            harUnmatchedResourceTypes: ['xhr', 'fetch'], // harUnmatched 적용 대상 (그 외는 항상 passthrough)
+            secrets: null,          // "{{secret:이름}}" 값 제공자 (미지정 시 환경 변수 U4A_SECRET_<이름>)
+            // 재생 속도 (녹화된 액션 간격 기준)
+            speed: 1,               // 배속 (2 = 2배 빠르게, 0.5 = 절반 속도)
+            maxActionDelay: null,   // 액션 간 최대 대기 시간(ms, 배속 적용 후) - 긴 휴식 구간 압축
+            fastMode: false,        // true: 녹화 간격 무시, Busy Indicator/요소 대기만으로 진행 (wait_ms 단계는 그대로 대기)
+            skipFinalDelay: false,  // true: 마지막 액션 후 녹화 종료 시점까지 대기하지 않음
+            // 중단점: 해당 단계 실행 전에 일시정지 (단계 인덱스(0부터) | 액션 타입 | (action, index) => boolean)
+            breakpoints: [],
+            // 부분 재생 (play() 두 번째 인자로 재생별 지정 가능)
+            fromStep: null,         // 시작 단계 인덱스 (0부터, 포함)
+            toStep: null,           // 마지막 단계 인덱스 (포함)
+            skipSteps: null,        // 건너뛸 단계 (인덱스 배열 | (action, index) => boolean)
             visualEffects: true,
             launchOptions: {
                 headless: false,
                 defaultViewport: null
-            }
+            },
+            // 실행 중인 브라우저에 연결 (puppeteer.connect 옵션: browserWSEndpoint | browserURL)
+            // - 지정 시 launchOptions 는 사용하지 않으며, close() 는 연결만 해제한다.
+            connectOptions: null,
+            targetUrl: null         // 연결 시 사용할 기존 탭 (문자열 접두사 | RegExp | 함수, 미지정 시 url)
         };
 
         this.option = {
@@ -62,7 +116,7 @@ class Replayer extends EventEmitter {
             }
         };
 
-        if (!this.option.launchOptions.executablePath) {
+        if (!this.option.connectOptions && !this.option.launchOptions.executablePath) {
             throw new Error('[Replayer] Chrome 실행 경로가 필요합니다. option.launchOptions.executablePath를 설정하세요.');
         }
 
@@ -70,8 +124,22 @@ class Replayer extends EventEmitter {
 
         this.browser = null;
         this.page = null;
+        this._ownsBrowser = true;       // false: connect 로 연결한 브라우저 (종료하지 않음)
+        this._createdPages = new Set(); // 연결한 브라우저에서 직접 연 탭
+        this.tabs = new Map();          // 녹화 tabId → 재생 page
+        this._initialPages = new Set(); // 재생 시작 시점에 열려 있던 page
         this.consoleErrors = [];
+        this.stepResults = [];
         this.effects = null;
+        this._fileChooser = null;   // 파일 업로드 직전 click 으로 가로챈 파일 선택 창
+        this._uploadDir = null;     // Buffer 업로드용 임시 폴더
+        this.locator = new ElementLocator();
+        this.ui5Driver = new UI5Driver();
+        this.secretProvider = createSecretProvider(this.option.secrets);
+        this.networkReplayer = null;
+        this._pauseRequested = false;   // pause() 요청 (다음 단계 실행 전에 일시정지)
+        this._stepMode = false;         // step() 실행 중 (1단계 실행 후 다시 일시정지)
+        this._resumePause = null;       // 일시정지 해제 함수
     }
 
     // ===== 상태 접근자 =====
@@ -91,25 +159,28 @@ class Replayer extends EventEmitter {
         this.status = ReplayerState.LAUNCHING;
 
         try {
-            this.browser = await puppeteer.launch(this.option.launchOptions);
+            const { browser, owned } = await openBrowser(this.option);
+            this.browser = browser;
+            this._ownsBrowser = owned;
 
             if (this.status === ReplayerState.CLOSING) {
                 await this.close(); 
                 return { RETCD: 'E', STCOD: ReplayerStatusCode.BROWSER_CLOSED, MSGTX: '실행 중 중단됨' };
             }
 
-            const aPages = await this.browser.pages();
-            var page = aPages[0];
-            if(!page){
-                page = await this.browser.newPage();
-            }
+            const { page, created, matched } = await selectPage(this.browser, owned, this.option);
+            if (!owned && created) this._createdPages.add(page);
 
             this.page = page;
             this.effects = new ReplayerEffects(this.page);
 
+            // 오프라인 재생 (첫 페이지 이동 전에 가로채기 등록)
+            await this._setupNetworkReplay();
+
             this._registerBrowserEvents();
 
-            await this.page.goto(this.option.url, { waitUntil: 'networkidle0' });
+            // 연결한 브라우저의 기존 탭은 현재 화면 그대로 사용
+            if (!matched) await this.page.goto(this.option.url, { waitUntil: 'networkidle0' });
 
             if (this.status === ReplayerState.CLOSING) {
                 await this.close();
@@ -153,19 +224,27 @@ class Replayer extends EventEmitter {
      * 재생 시작 (Play)
      * - 전체 recordData를 받아 메타데이터(recordingEndTime 등)를 활용한다.
      * - 마지막 액션 후 녹화 종료 시점까지의 대기 시간을 구현한다.
-     * * @param {Object} recordData - 녹화된 JSON 데이터 전체 ({ url, actions, recordingEndTime, ... })
+     * - 부분 재생: fromStep ~ toStep 범위에서 skipSteps 를 제외한 단계만 실행한다.
+     *   대기 시간은 실행되는 단계 사이의 녹화 간격으로 계산하고, 실행하지 않은 단계는 RDATA.steps 에 'skipped' 로 기록한다.
+     *   (앞 단계를 건너뛰는 경우 페이지/탭 상태는 호출자가 맞춰야 한다)
+     * * @param {Object} recordData - 녹화 문서 (Recorder.exportRecording 결과, 이전 평면 형식도 변환하여 사용)
+     * @param {Object} [range] - 부분 재생 옵션 { fromStep, toStep, skipSteps } (미지정 항목은 생성자 옵션 사용)
      * @returns {Promise<Object>} { RETCD, STCOD, MSGTX, RDATA }
      */
-    async play(recordData) { 
+    async play(recordData, range = {}) { 
 
-        // 1. 데이터 검증 (전체 객체 기준)
-        if (!recordData || !Array.isArray(recordData.actions)) {
+        // 1. 데이터 검증 (브라우저 조작 전, 모든 오류 수집)
+        const { valid, errors: validationErrors, recording } = validateRecording(recordData);
+        if (!valid) {
+            const summary = validationErrors.slice(0, 3).map(e => `${e.path}: ${e.message}`).join(' / ');
             return { 
                 RETCD: 'E', 
                 STCOD: ReplayerStatusCode.INVALID_DATA, 
-                MSGTX: '유효한 녹화 데이터(recordData)가 아닙니다.' 
+                MSGTX: `유효한 녹화 데이터(recordData)가 아닙니다. (${validationErrors.length}건) ${summary}`,
+                RDATA: { validationErrors }
             };
         }
+        const metadata = recording.metadata;
 
         // 2. 상태 검증
         if (this.status !== ReplayerState.LAUNCHED) {
@@ -176,13 +255,22 @@ class Replayer extends EventEmitter {
             };
         }
 
-        const actions = recordData.actions;
-        if (actions.length === 0) {
-            return { RETCD: 'E', STCOD: ReplayerStatusCode.INVALID_DATA, MSGTX: '실행할 액션이 없습니다.' };
+        const actions = recording.actions;
+
+        // 부분 재생 범위
+        const selection = this._selectSteps(actions, range);
+        if (selection.error) {
+            return { RETCD: 'E', STCOD: ReplayerStatusCode.INVALID_DATA, MSGTX: selection.error };
         }
+        const { selected, reasons, lastIndex } = selection;
 
         // 3. 시작 설정
         this.status = ReplayerState.PLAYING;
+        this.stepResults = [];
+        this._pauseRequested = false;
+        this._stepMode = false;
+        if (this.networkReplayer) this.networkReplayer.reset();
+        await this._initTabs(actions);
         console.log(`[Replayer] Started. Actions: ${actions.length}`);
 
         // 시각 효과 인디케이터 표시
@@ -194,22 +282,31 @@ class Replayer extends EventEmitter {
         }
 
         // Type 설정 (옵션)
-        if (recordData.type) this.option.type = recordData.type;
+        if (metadata.type) this.option.type = metadata.type;
 
         // 실행 시간 보정용 오프셋
         let timeOffset = 0;
 
         try {
             for (let i = 0; i < actions.length; i++) {
+
+                // [부분 재생] 선택되지 않은 단계는 결과에만 기록
+                if (!selected[i]) {
+                    this.stepResults.push({ index: i, type: actions[i].type, status: 'skipped', reason: reasons[i] });
+                    continue;
+                }
+
+                // [일시정지] pause() 요청 / 중단점 / step() 완료 시 resume·step·stop 까지 대기
+                await this._waitIfPaused(actions[i], i);
                 
                 // [Loop 검문] Stop/Close 체크
                 if (this.status !== ReplayerState.PLAYING) {
                     await this._hideReplayIndicatorSafe();
                     
                     if (this.status === ReplayerState.CLOSING) {
-                        return { RETCD: 'E', STCOD: ReplayerStatusCode.BROWSER_CLOSED, MSGTX: '브라우저 닫힘', RDATA: { consoleErrors: this.consoleErrors } };
+                        return { RETCD: 'E', STCOD: ReplayerStatusCode.BROWSER_CLOSED, MSGTX: '브라우저 닫힘', RDATA: this._reportData() };
                     }
-                    return { RETCD: 'E', STCOD: ReplayerStatusCode.REPLAY_STOPPED, MSGTX: '재생 중지됨', RDATA: { consoleErrors: this.consoleErrors } };
+                    return { RETCD: 'E', STCOD: ReplayerStatusCode.REPLAY_STOPPED, MSGTX: '재생 중지됨', RDATA: this._reportData() };
                 }
 
                 const action = actions[i];
@@ -222,20 +319,25 @@ class Replayer extends EventEmitter {
                 // [액션 실행 및 시간 측정]
                 // -------------------------------------------------
                 const executionStart = Date.now();
-                
-                await this._executeAction(action);
+                const stepResult = { index: i, type: action.type, status: 'running' };
+                this.stepResults.push(stepResult);
+
+                const nextIndex = selected.indexOf(true, i + 1);
+                const detail = await this._executeWithRetry(action, nextIndex !== -1 ? actions[nextIndex] : null, stepResult);
+                this._throwIfUnmatchedRequests();
                 
                 const executionTime = Date.now() - executionStart;
+                Object.assign(stepResult, detail, { status: 'success', durationMs: executionTime });
                 // -------------------------------------------------
 
                 // [타이밍 조절 로직]
                 
-                // Case 1: 다음 액션이 있는 경우 (Inter-Action Delay)
-                if (i < actions.length - 1) {
-                    const nextAction = actions[i + 1];
+                // Case 1: 다음에 실행할 액션이 있는 경우 (Inter-Action Delay, 건너뛴 단계의 시간 포함)
+                if (nextIndex !== -1) {
+                    const nextAction = actions[nextIndex];
                     
                     if (action.timestamp && nextAction.timestamp) {
-                        let delay = nextAction.timestamp - action.timestamp;
+                        let delay = this._playbackDelay(this._recordedDelay(action.timestamp, nextAction.timestamp, metadata.pauses));
 
                         // 실행 시간 누적하여 대기 시간에서 차감
                         timeOffset += executionTime;
@@ -247,16 +349,16 @@ class Replayer extends EventEmitter {
                         if (waitTime > 0) await this._delay(waitTime);
                     }
                 } 
-                // Case 2: 마지막 액션인 경우 (Final Delay - 녹화 종료 시간까지 대기)
+                // Case 2: 마지막 액션인 경우 (Final Delay - 녹화 종료 시간까지 대기, toStep 으로 끝을 자른 경우 제외)
                 else {
 
-                    if (recordData.recordingEndTime && action.timestamp) {
+                    if (metadata.recordingEndTime && action.timestamp && !this.option.skipFinalDelay && lastIndex === actions.length - 1) {
                         const lastActionTime = action.timestamp;
                         // 날짜 객체일 수 있으므로 getTime()으로 변환하여 안전하게 계산
-                        const recordingEndTime = new Date(recordData.recordingEndTime).getTime();
+                        const recordingEndTime = new Date(metadata.recordingEndTime).getTime();
                         
                         // 마지막 액션 시간과 녹화 종료 시간의 차이
-                        const finalDelay = recordingEndTime - lastActionTime;
+                        const finalDelay = this._playbackDelay(this._recordedDelay(lastActionTime, recordingEndTime, metadata.pauses));
                         
                         if (finalDelay > 0) {
                             // 실행 오프셋 반영
@@ -271,6 +373,8 @@ class Replayer extends EventEmitter {
                 }
             }
 
+            this._throwIfUnmatchedRequests();
+
             // 재생 완료
             await this._hideReplayIndicatorSafe();
             this.emit('finish');
@@ -278,21 +382,42 @@ class Replayer extends EventEmitter {
             // 상태 복귀 -> LAUNCHED (다음 재생 대기)
             this.status = ReplayerState.LAUNCHED;
             
-            return { RETCD: 'S', RDATA: { consoleErrors: this.consoleErrors } };
+            return { RETCD: 'S', RDATA: this._reportData() };
 
         } catch (error) {
             // 에러 처리 (기존 동일)
             this.status = ReplayerState.LAUNCHED; 
             await this._hideReplayIndicatorSafe();
 
-            if (error.code === ReplayerStatusCode.BUSY_TIMEOUT) {
-                return { RETCD: 'E', STCOD: ReplayerStatusCode.BUSY_TIMEOUT, MSGTX: error.message, RDATA: { consoleErrors: this.consoleErrors } };
+            const failedStep = this.stepResults[this.stepResults.length - 1];
+            if (failedStep && failedStep.status === 'running') {
+                failedStep.status = 'failed';
+                failedStep.error = error.message;
+
+                // 녹화 시 스냅샷(captureSnapshots)이 있으면 실패 단계의 원본 상태로 함께 전달
+                const failedAction = actions[failedStep.index];
+                if (failedAction && failedAction.snapshot) failedStep.recordedSnapshot = failedAction.snapshot;
+            }
+
+            // 코드가 지정된 에러는 해당 상태 코드로 그대로 전달
+            const passthroughCodes = [
+                ReplayerStatusCode.BUSY_TIMEOUT,
+                ReplayerStatusCode.ELEMENT_NOT_FOUND,
+                ReplayerStatusCode.FRAME_NOT_FOUND,
+                ReplayerStatusCode.TAB_NOT_FOUND,
+                ReplayerStatusCode.FILE_NOT_FOUND,
+                ReplayerStatusCode.SECRET_NOT_FOUND,
+                ReplayerStatusCode.ASSERTION_FAILED,
+                ReplayerStatusCode.UNMATCHED_REQUEST
+            ];
+            if (passthroughCodes.includes(error.code)) {
+                return { RETCD: 'E', STCOD: error.code, MSGTX: error.message, RDATA: this._reportData() };
             }
             if (error.message.includes('Target closed') || !this.page) {
                 this.status = ReplayerState.IDLE; 
-                return { RETCD: 'E', STCOD: ReplayerStatusCode.BROWSER_CLOSED, MSGTX: '브라우저 연결 끊김', RDATA: { consoleErrors: this.consoleErrors } };
+                return { RETCD: 'E', STCOD: ReplayerStatusCode.BROWSER_CLOSED, MSGTX: '브라우저 연결 끊김', RDATA: this._reportData() };
             }
-            return { RETCD: 'E', STCOD: ReplayerStatusCode.ACTION_FAILED, MSGTX: error.message, RDATA: { consoleErrors: this.consoleErrors } };
+            return { RETCD: 'E', STCOD: ReplayerStatusCode.ACTION_FAILED, MSGTX: error.message, RDATA: this._reportData() };
         }
     }
 
@@ -353,14 +478,60 @@ class Replayer extends EventEmitter {
      * 재생 중지 (Stop)
      */
     stop() {
-        if (this.status !== ReplayerState.PLAYING) {
+        if (this.status !== ReplayerState.PLAYING && this.status !== ReplayerState.PAUSED) {
             return { RETCD: 'E', STCOD: ReplayerStatusCode.NOT_PLAYING, MSGTX: '재생 중이 아닙니다.' };
         }
         this.status = ReplayerState.LAUNCHED;
+        this._releasePause();
         console.log('[Replayer] Stop Requested');
         return { RETCD: 'S' };
     }
 
+    /**
+     * 재생 일시정지 (Pause)
+     * - 현재 실행 중인 단계를 마친 뒤, 다음 단계 실행 전에 멈춘다. ('paused' 이벤트)
+     */
+    pause() {
+        if (this.status !== ReplayerState.PLAYING) {
+            return { RETCD: 'E', STCOD: ReplayerStatusCode.NOT_PLAYING, MSGTX: '재생 중이 아닙니다.' };
+        }
+        this._pauseRequested = true;
+        return { RETCD: 'S' };
+    }
+
+    /**
+     * 재생 계속 (Resume)
+     */
+    resume() {
+        if (this.status !== ReplayerState.PAUSED) {
+            return { RETCD: 'E', STCOD: ReplayerStatusCode.NOT_PAUSED, MSGTX: '일시정지 상태가 아닙니다.' };
+        }
+        this._stepMode = false;
+        this._continue();
+        return { RETCD: 'S' };
+    }
+
+    /**
+     * 다음 1단계만 실행 후 다시 일시정지 (Step)
+     */
+    step() {
+        if (this.status !== ReplayerState.PAUSED) {
+            return { RETCD: 'E', STCOD: ReplayerStatusCode.NOT_PAUSED, MSGTX: '일시정지 상태가 아닙니다.' };
+        }
+        this._stepMode = true;
+        this._continue();
+        return { RETCD: 'S' };
+    }
+
+    /**
+     * 중단점 변경 (재생 중에도 다음 단계부터 적용)
+     * @param {Array<number|string|Function>} breakpoints - 단계 인덱스(0부터) | 액션 타입 | (action, index) => boolean
+     */
+    setBreakpoints(breakpoints) {
+        this.option.breakpoints = Array.isArray(breakpoints) ? breakpoints : [];
+        return { RETCD: 'S' };
+    }
+
     /**
      * 브라우저 종료 (Close)
      */
@@ -368,12 +539,15 @@ class Replayer extends EventEmitter {
         if (this.status === ReplayerState.IDLE || this.status === ReplayerState.CLOSING) return;
 
         this.status = ReplayerState.CLOSING;
+        this._releasePause();
 
         if (this.browser && this.browser.isConnected()) {
             try {
-                const pages = await this.browser.pages();
-                await Promise.all(pages.map(page => page.close().catch(() => {})));
-                await this.browser.close();
+                // 연결한 브라우저는 남아 있으므로 재생 표시를 숨긴다
+                if (!this._ownsBrowser) await this._hideReplayIndicatorSafe();
+
+                // 실행한 브라우저: 모든 탭 + 프로세스 종료 / 연결한 브라우저: 직접 연 탭만 닫고 연결 해제
+                await releaseBrowser(this.browser, this._ownsBrowser, this._createdPages);
             } catch (e) {
                 console.warn('Browser close warning:', e.message);
             }
@@ -384,25 +558,294 @@ class Replayer extends EventEmitter {
 
     // ===== Private Helpers =====
 
+    /**
+     * [내부] 부분 재생 단계 선택
+     * @returns {{selected: boolean[], reasons: Array<string|null>, lastIndex: number} | {error: string}}
+     *   reasons[i]: 선택되지 않은 이유 ('before_from' | 'after_to' | 'skip')
+     */
+    _selectSteps(actions, range = {}) {
+        const pick = (key) => range[key] !== undefined ? range[key] : this.option[key];
+        const last = actions.length - 1;
+        const fromStep = pick('fromStep') ?? 0;
+        const toStep = pick('toStep') ?? last;
+        const skipSteps = pick('skipSteps');
+
+        if (!Number.isInteger(fromStep) || fromStep < 0 || fromStep > last) {
+            return { error: `fromStep 이 범위를 벗어났습니다: ${fromStep} (0 ~ ${last})` };
+        }
+        if (!Number.isInteger(toStep) || toStep < fromStep || toStep > last) {
+            return { error: `toStep 이 범위를 벗어났습니다: ${toStep} (${fromStep} ~ ${last})` };
+        }
+
+        const isSkipped = (action, index) => {
+            if (Array.isArray(skipSteps)) return skipSteps.includes(index);
+            if (typeof skipSteps === 'function') return !!skipSteps(action, index);
+            return false;
+        };
+
+        const reasons = actions.map((action, index) => {
+            if (index < fromStep) return 'before_from';
+            if (index > toStep) return 'after_to';
+            return isSkipped(action, index) ? 'skip' : null;
+        });
+
+        const selected = reasons.map(reason => reason === null);
+        return { selected, reasons, lastIndex: toStep };
+    }
+
+    /**
+     * [내부] 단계 실행 전 일시정지 확인
+     * - reason: 'pause' (pause() 요청) | 'breakpoint' | 'step' (step() 실행 후)
+     */
+    async _waitIfPaused(action, index) {
+        if (this.status !== ReplayerState.PLAYING) return;
+
+        let reason = null;
+        if (this._stepMode) reason = 'step';
+        else if (this._pauseRequested) reason = 'pause';
+        else if (this._isBreakpoint(action, index)) reason = 'breakpoint';
+        if (!reason) return;
+
+        this._pauseRequested = false;
+        this._stepMode = false;
+        this.status = ReplayerState.PAUSED;
+        console.log(`[Replayer] Paused before step ${index + 1} (${reason})`);
+
+        const resumed = new Promise(resolve => { this._resumePause = resolve; });
+        this.emit('paused', { index, type: action.type, reason });
+        await resumed;
+    }
+
+    _isBreakpoint(action, index) {
+        return (this.option.breakpoints || []).some((bp) => {
+            if (typeof bp === 'number') return bp === index;
+            if (typeof bp === 'string') return bp === action.type;
+            if (typeof bp === 'function') {
+                try { return !!bp(action, index); } catch (e) { return false; }
+            }
+            return false;
+        });
+    }
+
+    /**
+     * [내부] 일시정지 해제 후 재생 계속 ('resumed' 이벤트)
+     */
+    _continue() {
+        this.status = ReplayerState.PLAYING;
+        this.emit('resumed', { step: this._stepMode });
+        this._releasePause();
+    }
+
+    /**
+     * [내부] 대기 중인 일시정지 해제 (stop/close 는 상태만 바꾸고 루프에서 종료 처리)
+     */
+    _releasePause() {
+        const resolve = this._resumePause;
+        this._resumePause = null;
+        if (resolve) resolve();
+    }
+
     _resetState() {
+        // Buffer 업로드용 임시 폴더 정리
+        if (this._uploadDir) {
+            fs.rm(this._uploadDir, { recursive: true, force: true }, () => {});
+            this._uploadDir = null;
+        }
+        this._fileChooser = null;
+
         this.browser = null;
         this.page = null;
+        this._ownsBrowser = true;
+        this._createdPages = new Set();
+        this.tabs = new Map();
+        this._initialPages = new Set();
         this.effects = null;
         this.consoleErrors = [];
+        this.stepResults = [];
+        this.networkReplayer = null;
+        this._pauseRequested = false;
+        this._stepMode = false;
+        this._resumePause = null;
         this.status = ReplayerState.IDLE;
     }
 
+    /**
+     * [내부] 재생 결과 데이터 (RDATA)
+     * - steps: 단계별 실행 결과 (매칭된 Selector 후보 포함)
+     */
+    _reportData() {
+        const data = { consoleErrors: this.consoleErrors, steps: this.stepResults };
+        if (this.networkReplayer) data.unmatchedRequests = this.networkReplayer.unmatchedRequests;
+        return data;
+    }
+
+    /**
+     * [내부] 오프라인 재생 준비 (option.har)
+     * - 직접 실행한 브라우저: 브라우저 전체 가로채기 (팝업/새 탭도 첫 요청부터 적용)
+     * - 연결한 브라우저: 사용자의 다른 탭에 영향이 없도록 페이지 단위 가로채기
+     *   (이후 열리는 탭은 targetcreated 에서 등록하므로 첫 요청은 가로채지 못할 수 있음)
+     */
+    async _setupNetworkReplay() {
+        if (!this.option.har) return;
+
+        const har = await NetworkReplayer.load(this.option.har);
+        this.networkReplayer = new NetworkReplayer(har, {
+            matchBody: this.option.harMatchBody,
+            unmatched: this.option.harUnmatched,
+            unmatchedResourceTypes: this.option.harUnmatchedResourceTypes
+        });
+
+        if (this._ownsBrowser) {
+            try {
+                await this.networkReplayer.attachBrowser(await this.browser.target().createCDPSession());
+                return;
+            } catch (e) {
+                console.warn('[Replayer] Browser-wide network replay unavailable, falling back to per-page:', e.message);
+            }
+        }
+
+        await this.networkReplayer.attach(this.page);
+
+        this.browser.on('targetcreated', async (target) => {
+            if (target.type() !== 'page' || !this.networkReplayer) return;
+            try {
+                const page = await target.page();
+                if (page) await this.networkReplayer.attach(page);
+            } catch (e) {
+                console.warn('[Replayer] Network replay attach failed:', e.message);
+            }
+        });
+    }
+
+    /**
+     * [내부] harUnmatched = 'fail' 로 차단된 요청이 있으면 재생 실패
+     */
+    _throwIfUnmatchedRequests() {
+        if (!this.networkReplayer) return;
+
+        const failures = this.networkReplayer.takeFailures();
+        if (failures.length === 0) return;
+
+        const list = failures.slice(0, 5).map(r => `${r.method} ${r.url}`).join(', ');
+        const error = new Error(`Unmatched request (${failures.length}): ${list}${failures.length > 5 ? ' ...' : ''}`);
+        error.code = ReplayerStatusCode.UNMATCHED_REQUEST;
+        throw error;
+    }
+
+    /**
+     * [내부] 액션별 탐색 제한 시간 (action.timeout > actionTimeout)
+     */
+    _actionTimeout(action) {
+        return Number.isFinite(action && action.timeout) ? action.timeout : this.option.actionTimeout;
+    }
+
+    /**
+     * [내부] 재시도 정책을 적용한 단계 실행
+     * - 시도 횟수는 stepResult.attempts, 실패한 시도는 stepResult.attemptErrors 에 기록한다.
+     * - 재시도 전 'retry' 이벤트를 발생시킨다. ({ index, attempt, code, error, delay })
+     * - 'action' 이벤트는 첫 시도에서만 발생한다.
+     */
+    async _executeWithRetry(action, nextAction, stepResult) {
+        const retries = Number.isInteger(action.retries) ? action.retries : this.option.retryCount;
+        let delay = this.option.retryDelay;
+
+        for (let attempt = 1; ; attempt++) {
+            stepResult.attempts = attempt;
+            try {
+                return await this._executeAction(action, nextAction, attempt === 1);
+            } catch (error) {
+                const code = error.code || ReplayerStatusCode.ACTION_FAILED;
+                const canRetry = attempt <= retries
+                    && this.status === ReplayerState.PLAYING
+                    && !(error.message || '').includes('Target closed')
+                    && this._isRetryable(error, code, action);
+                if (!canRetry) throw error;
+
+                stepResult.attemptErrors = [...(stepResult.attemptErrors || []), { attempt, code, error: error.message }];
+                console.log(`[Replayer] Retry step ${stepResult.index + 1} (${attempt}/${retries}): ${error.message}`);
+                this.emit('retry', { index: stepResult.index, attempt, code, error: error.message, delay });
+
+                if (delay > 0) await this._delay(delay);
+                delay = delay * (this.option.retryBackoff || 1);
+            }
+        }
+    }
+
+    _isRetryable(error, code, action) {
+        const rule = this.option.retryableErrors;
+        if (typeof rule === 'function') {
+            try { return !!rule(error, action); } catch (e) { return false; }
+        }
+        return Array.isArray(rule) && rule.includes(code);
+    }
+
+    /**
+     * [내부] 액션 실행 대상 프레임 (iframe 액션은 녹화된 프레임 경로로 탐색)
+     * @returns {Promise<Frame>}
+     */
+    async _resolveFrame(action, timeout = this._actionTimeout(action)) {
+        return await this.locator.resolveFrame(this.page, action.framePath, timeout);
+    }
+
+    /**
+     * [내부] 액션 대상 요소 탐색 (Selector 후보 순차 Fallback)
+     * @returns {Promise<{handle: ElementHandle, matchedSelector: Object, frame: Frame}>}
+     */
+    async _locate(action, timeout = this._actionTimeout(action)) {
+        const frame = await this._resolveFrame(action, timeout);
+        const { handle, candidate, index } = await this.locator.locate(frame, action, timeout);
+
+        if (index > 0) {
+            console.log(`[Replayer] Selector fallback #${index}: ${candidate.type} ${candidate.value}`);
+        }
+
+        return { handle, frame, matchedSelector: { index, type: candidate.type, value: candidate.value } };
+    }
+
+    /**
+     * [내부] 프레임 기준 좌표 → 페이지(메인 프레임) 기준 좌표
+     */
+    async _toPageCoordinates(frame, x, y) {
+        if (!frame || frame === this.page.mainFrame()) return { x, y };
+
+        const frameEl = await frame.frameElement();
+        if (!frameEl) return { x, y };
+
+        try {
+            const box = await frameEl.boundingBox();
+            return box ? { x: box.x + x, y: box.y + y } : { x, y };
+        } finally {
+            await frameEl.dispose();
+        }
+    }
+
     _registerBrowserEvents() {
         if (!this.browser || !this.page) return;
 
+        // [수정] disconnected 시 error 이벤트 호출 제거! 상태만 리셋합니다.
+        this.browser.once('disconnected', () => {
+            if (this.status !== ReplayerState.CLOSING) {
+                console.log('[Replayer] Browser Disconnected unexpectedly');
+                this._resetState();
+            }
+        });
+
+        this._registerPageEvents(this.page);
+    }
+
+    /**
+     * [내부] 페이지(탭) 단위 이벤트 등록
+     */
+    _registerPageEvents(page) {
         if (this.option.visualEffects) {
-            this.page.on('framenavigated', async (frame) => {
-                if (frame === this.page.mainFrame()) {
+            page.on('framenavigated', async (frame) => {
+                // 현재 활성 페이지의 메인 프레임만 효과 재주입
+                if (page === this.page && frame === page.mainFrame()) {
                     if (this.effects) {
                         try {
-                            await this.page.waitForSelector('body', { timeout: 5000 });
+                            await page.waitForSelector('body', { timeout: 5000 });
                             await this.effects.inject();
-                            if (this.status === ReplayerState.PLAYING) {
+                            if (this.status === ReplayerState.PLAYING || this.status === ReplayerState.PAUSED) {
                                 await this.effects.showReplayIndicator();
                             }
                         } catch (error) {
@@ -413,15 +856,7 @@ class Replayer extends EventEmitter {
             });
         }
 
-        // [수정] disconnected 시 error 이벤트 호출 제거! 상태만 리셋합니다.
-        this.browser.once('disconnected', () => {
-            if (this.status !== ReplayerState.CLOSING) {
-                console.log('[Replayer] Browser Disconnected unexpectedly');
-                this._resetState();
-            }
-        });
-
-        this.page.on('console', msg => {
+        page.on('console', msg => {
             if (msg.type() === 'error') {
                 const args = msg.args();
                 args.forEach(arg => {
@@ -453,7 +888,7 @@ class Replayer extends EventEmitter {
             }
         });
 
-        this.page.on('pageerror', err => {
+        page.on('pageerror', err => {
             const errData = {
                 type: ReplayerStatusCode.BROWSER_CONSOLE_ERROR,
                 message: err.message,
@@ -464,7 +899,7 @@ class Replayer extends EventEmitter {
             this.emit('console-error', errData);
         });
 
-        this.page.on('requestfailed', req => {
+        page.on('requestfailed', req => {
             if (req.failure() && req.failure().errorText !== 'net::ERR_ABORTED') {
                 const errData = {
                     type: ReplayerStatusCode.REQUEST_ERROR,
@@ -518,107 +953,457 @@ class Replayer extends EventEmitter {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * [내부] 액션 좌표 계산 (요소 기준 오프셋 → 페이지 좌표)
+     * - 녹화된 오프셋이 요소 범위를 벗어나면 요소 중앙을 사용한다.
+     * @param {Object} target - { offsetX, offsetY, x, y }
+     * @param {boolean} [scroll=true] - 요소를 화면에 보이도록 스크롤
+     */
+    async _getActionPoint(handle, frame, target, scroll = true) {
+        if (scroll) await handle.scrollIntoView().catch(() => {});
+
+        const box = await handle.boundingBox();
+        if (!box) return await this._toPageCoordinates(frame, target.x, target.y);
+
+        const within = (offset, size) => typeof offset === 'number' && offset >= 0 && offset <= size;
+        return {
+            x: box.x + (within(target.offsetX, box.width) ? target.offsetX : box.width / 2),
+            y: box.y + (within(target.offsetY, box.height) ? target.offsetY : box.height / 2)
+        };
+    }
+
+    // ===== Tab Helpers =====
+
+    /**
+     * [내부] 녹화 탭 ↔ 재생 페이지 매핑 초기화
+     * - 녹화의 첫 탭은 현재 활성 페이지에 대응한다.
+     */
+    async _initTabs(actions) {
+        this.tabs = new Map();
+        this._initialPages = new Set(await this.browser.pages());
+
+        const first = actions.find(a => a.tabId);
+        if (first) this.tabs.set(first.tabId, this.page);
+    }
+
+    /**
+     * [내부] 활성 페이지 전환 (시각 효과/인디케이터 이동 포함)
+     */
+    async _activatePage(page) {
+        if (page === this.page) return;
+
+        await this._hideReplayIndicatorSafe();
+
+        this.page = page;
+        this.effects = new ReplayerEffects(page);
+        await page.bringToFront();
+
+        if (this.option.visualEffects) {
+            await this.effects.inject();
+            await this.effects.showReplayIndicator();
+        }
+    }
+
+    /**
+     * [내부] 재생 중 새로 열린 페이지 대기 (팝업)
+     * @returns {Promise<Page|null>}
+     */
+    async _waitForNewPage(timeout) {
+        const deadline = Date.now() + timeout;
+
+        while (Date.now() < deadline) {
+            const known = new Set([...this._initialPages, ...this.tabs.values()]);
+            const pages = await this.browser.pages();
+            const page = pages.find(p => !known.has(p) && !p.isClosed());
+            if (page) return page;
+            await this._delay(100);
+        }
+        return null;
+    }
+
     // ===== Action Executors =====
 
-    async _executeAction(action) {
-        if (!this.page || this.page.isClosed()) throw new Error('Target closed');
+    /**
+     * [내부] DOM 요소를 찾지 못한 경우 UI5 API 로 대체 실행
+     * - 녹화 시 UI5 컨트롤 정보(action.ui5)가 있는 액션만 대상
+     */
+    async _withUI5Fallback(action, operation, executor) {
+        try {
+            return await executor();
+        } catch (error) {
+            if (error.code !== ELEMENT_NOT_FOUND || !UI5Driver.isApplicable(action)) throw error;
+
+            const frame = await this._resolveFrame(action);
+            const matchedSelector = await this.ui5Driver.execute(frame, action, operation);
+            if (!matchedSelector) throw error;
+
+            console.log(`[Replayer] UI5 fallback: ${action.ui5.type} (${matchedSelector.value})`);
+            return { matchedSelector };
+        }
+    }
+
+    async _executeAction(action, nextAction, emitAction = true) {
         if (this.status !== ReplayerState.PLAYING) return;
 
-        this.emit('action', action);
+        // 녹화 탭이 현재 페이지와 다르면 해당 탭으로 전환
+        if (action.tabId && !['tab_open', 'tab_close'].includes(action.type)) {
+            const tabPage = this.tabs.get(action.tabId);
+            if (tabPage && !tabPage.isClosed()) await this._activatePage(tabPage);
+        }
+
+        if (!this.page || this.page.isClosed()) throw new Error('Target closed');
+
+        if (emitAction) this.emit('action', action);
+
+        // 마스킹된 값은 실행 직전에만 치환 (emit/로그에는 자리표시자 유지)
+        action = await this._resolveActionSecrets(action);
 
         switch (action.type) {
-            case 'click':          await this._executeClick(action); break;
-            case 'input':          await this._executeInput(action); break;
-            case 'change':         await this._executeChange(action); break;
-            case 'keydown':        await this._executeKeydown(action); break;
-            case 'scroll':         await this._executeScroll(action); break;
-            case 'browser_resize': await this._executeBrowserResize(action); break;
-            default: console.warn(`Unknown action type: ${action.type}`);
+            case 'click':          return await this._withUI5Fallback(action, 'press', () => this._executeClick(action, nextAction));
+            case 'input':          return await this._withUI5Fallback(action, 'input', () => this._executeInput(action));
+            case 'change':         return await this._withUI5Fallback(action, 'change', () => this._executeChange(action));
+            case 'dblclick':       return await this._executeDblclick(action);
+            case 'contextmenu':    return await this._executeContextMenu(action);
+            case 'hover':          return await this._executeHover(action);
+            case 'drag':           return await this._executeDrag(action);
+            case 'keydown':        return await this._executeKeydown(action);
+            case 'scroll':         return await this._executeScroll(action);
+            case 'browser_resize': return await this._executeBrowserResize(action);
+            case 'file_upload':    return await this._executeFileUpload(action);
+            case 'navigate':       return await this._executeNavigate(action);
+            case 'tab_open':       return await this._executeTabOpen(action);
+            case 'tab_switch':     return await this._executeTabSwitch(action);
+            case 'tab_close':      return await this._executeTabClose(action);
+            case 'marker':         return { label: action.label };   // 녹화 툴바의 구간 표시 (실행 없음)
+            case 'assert_text':
+            case 'assert_visible':
+            case 'assert_hidden':
+            case 'assert_value':
+            case 'assert_url':
+            case 'assert_count':   return await this._executeAssertion(action);
+            case 'wait_for_selector': return await this._executeWaitForSelector(action);
+            case 'wait_ms':        return await this._executeWaitMs(action);
+            default: {
+                // 알 수 없는 단계를 건너뛰고 성공 처리하지 않도록 실패로 보고
+                const error = new Error(`지원하지 않는 액션 타입입니다: "${action.type}"`);
+                error.code = ReplayerStatusCode.INVALID_ACTION;
+                throw error;
+            }
         }
     }
 
-    async _executeClick(action) {
-        if (this.option.visualEffects && this.effects) await this.effects.showClick(action.selector, action.x, action.y);
-        
-        if (action.checked !== undefined) {
-            await this.page.waitForSelector(action.selector, { timeout: 5000 });
-            await this.page.evaluate((sel, checked) => {
-                const el = document.querySelector(sel);
-                if (el && (el.type === 'checkbox' || el.type === 'radio')) {
-                    el.checked = checked;
-                    el.dispatchEvent(new Event('change', { bubbles: true }));
-                    el.dispatchEvent(new Event('click', { bubbles: true }));
+    /**
+     * [내부] 녹화 시점 간격 (녹화 일시정지 구간은 제외)
+     * @param {number} from - epoch ms
+     * @param {number} to - epoch ms
+     * @param {Array<{start: number, end: number|null}>} [pauses] - 녹화 문서 metadata.pauses
+     */
+    _recordedDelay(from, to, pauses) {
+        let delay = to - from;
+        if (!Array.isArray(pauses)) return delay;
+
+        for (const pause of pauses) {
+            const overlap = Math.min(to, pause.end || to) - Math.max(from, pause.start);
+            if (overlap > 0) delay -= overlap;
+        }
+        return Math.max(delay, 0);
+    }
+
+    /**
+     * [내부] 녹화 간격 → 재생 대기 시간 (fastMode / speed / maxActionDelay 적용)
+     * @param {number} delay - 녹화 간격(ms)
+     */
+    _playbackDelay(delay) {
+        if (this.option.fastMode) return 0;
+
+        const speed = Number(this.option.speed) > 0 ? Number(this.option.speed) : 1;
+        let scaled = delay / speed;
+        if (this.option.maxActionDelay !== null && this.option.maxActionDelay !== undefined) {
+            scaled = Math.min(scaled, this.option.maxActionDelay);
+        }
+        return Math.round(scaled);
+    }
+
+    /**
+     * [내부] 액션 값의 "{{secret:이름}}" 자리표시자 치환 (원본 액션은 변경하지 않음)
+     */
+    async _resolveActionSecrets(action) {
+        if (!hasSecret(action.value) && !hasSecret(action.expected)) return action;
+
+        const resolved = { ...action, secret: action.secret || true };
+        if (hasSecret(action.value)) resolved.value = await resolveSecrets(action.value, this.secretProvider);
+        if (hasSecret(action.expected)) resolved.expected = await resolveSecrets(action.expected, this.secretProvider);
+        return resolved;
+    }
+
+    /**
+     * [내부] 시각 효과에 표시할 값 (비밀 값은 가림)
+     */
+    _displayValue(action) {
+        return action.secret ? '••••••' : action.value;
+    }
+
+    async _executeClick(action, nextAction) {
+        const { handle, matchedSelector, frame } = await this._locate(action);
+
+        try {
+            if (this.option.visualEffects && this.effects) await this.effects.showClick(action.selector, action.x, action.y);
+
+            if (action.checked !== undefined) {
+                await handle.evaluate((el, checked) => {
+                    if (el.type === 'checkbox' || el.type === 'radio') {
+                        el.checked = checked;
+                        el.dispatchEvent(new Event('change', { bubbles: true }));
+                        el.dispatchEvent(new Event('click', { bubbles: true }));
+                    }
+                }, action.checked);
+            } else {
+                // 다음 단계가 파일 업로드면 파일 선택 창을 가로챈다 (OS 대화상자 방지)
+                // - 선택 창을 열지 않는 click(커스텀 버튼 등)에서 오래 멈추지 않도록 fileChooserWait 까지만 대기
+                const chooserPromise = nextAction && nextAction.type === 'file_upload'
+                    ? this.page.waitForFileChooser({ timeout: Math.max(this.option.fileChooserWait, 1) }).catch(() => null)
+                    : null;
+
+                try {
+                    await handle.click();
+                } catch (e) {
+                    // 클릭 불가 요소(숨김/가려짐)는 녹화 좌표로 대체
+                    if (action.x === undefined || action.y === undefined) throw e;
+                    const point = await this._toPageCoordinates(frame, action.x, action.y);
+                    await this.page.mouse.click(point.x, point.y);
                 }
-            }, action.selector, action.checked);
-        } else if (action.x !== undefined && action.y !== undefined) {
-            await this.page.mouse.click(action.x, action.y);
-        } else {
-            await this.page.waitForSelector(action.selector, { timeout: 5000 });
-            await this.page.click(action.selector);
+
+                if (chooserPromise) this._fileChooser = await chooserPromise;
+            }
+        } finally {
+            await handle.dispose();
         }
+
+        return { matchedSelector };
     }
 
     async _executeInput(action) {
-        await this.page.waitForSelector(action.selector, { timeout: 5000 });
-        if (this.option.visualEffects && this.effects) await this.effects.showInput(action.selector, action.value);
-        
-        await this.page.evaluate((sel, val, selStart, selEnd) => {
-            const el = document.querySelector(sel);
-            if (el) {
+        const { handle, matchedSelector } = await this._locate(action);
+
+        try {
+            if (this.option.visualEffects && this.effects) await this.effects.showInput(action.selector, this._displayValue(action));
+
+            // 키 입력 단위 재생 실패(또는 미사용) 시 값 직접 할당
+            const typed = this.option.keystrokeMode && await this._typeKeystroke(handle, action);
+
+            if (!typed) await handle.evaluate((el, val, selStart, selEnd) => {
                 el.value = val;
                 el.dispatchEvent(new Event('input', { bubbles: true }));
                 if (selStart !== undefined && selEnd !== undefined) {
                     if (['text', 'search', 'url', 'tel', 'password'].includes(el.type)) el.setSelectionRange(selStart, selEnd);
                 }
-            }
-        }, action.selector, action.value || '', action.selectionStart, action.selectionEnd);
+            }, action.value || '', action.selectionStart, action.selectionEnd);
+        } finally {
+            await handle.dispose();
+        }
+
+        return { matchedSelector };
+    }
+
+    /**
+     * [내부] 키 입력 단위 재생 (keystrokeMode)
+     * - insertText 는 page.keyboard.type 으로 keydown/keypress/input/keyup 을 실제로 발생시킨다.
+     * - 삭제/줄바꿈/공백(Space)은 선행 keydown 액션으로 이미 재생되므로 결과 값만 확인한다.
+     * - 키 간 간격은 액션 timestamp 기반 타이밍 로직으로 재현된다.
+     * @returns {Promise<boolean>} 결과 값이 녹화 값과 일치하면 true
+     */
+    async _typeKeystroke(handle, action) {
+        const inputType = action.inputType || '';
+        const expected = action.value || '';
+
+        // 선행 keydown(Space 등)으로 이미 입력된 경우 다시 입력하지 않음
+        if (await handle.evaluate(el => el.value) === expected) return true;
+
+        if (['insertText', 'insertCompositionText'].includes(inputType) && action.data) {
+            // 녹화 시 입력 직후 커서 위치 기준으로 입력 전 커서 위치 복원
+            const caret = typeof action.selectionStart === 'number' ? action.selectionStart - action.data.length : null;
+
+            await handle.evaluate((el, caret) => {
+                el.focus();
+                if (caret !== null && caret >= 0 && typeof el.setSelectionRange === 'function') {
+                    try { el.setSelectionRange(caret, caret); } catch (e) {}
+                }
+            }, caret);
+            await this.page.keyboard.type(action.data);
+        } else if (!/^(delete|insertLineBreak|insertParagraph)/.test(inputType)) {
+            return false;
+        }
+
+        const value = await handle.evaluate(el => el.value);
+        return value === expected;
     }
 
     async _executeChange(action) {
-        await this.page.waitForSelector(action.selector, { timeout: 5000 });
-        if (action.checked !== undefined) {
-            await this.page.evaluate((sel, checked) => {
-                const el = document.querySelector(sel);
-                if (el) {
+        const { handle, matchedSelector } = await this._locate(action);
+
+        try {
+            if (action.checked !== undefined) {
+                await handle.evaluate((el, checked) => {
                     el.checked = checked;
                     el.dispatchEvent(new Event('change', { bubbles: true }));
-                }
-            }, action.selector, action.checked);
-        } else {
-            const isSelect = await this.page.$eval(action.selector, el => el.tagName === 'SELECT').catch(() => false);
-            if (isSelect) await this.page.select(action.selector, action.value);
-            else await this.page.evaluate((sel, val) => {
-                const el = document.querySelector(sel);
-                if (el) {
+                }, action.checked);
+            } else {
+                const isSelect = await handle.evaluate(el => el.tagName === 'SELECT').catch(() => false);
+                if (isSelect) await handle.select(action.value);
+                else await handle.evaluate((el, val) => {
                     el.value = val;
                     el.dispatchEvent(new Event('change', { bubbles: true }));
+                }, action.value);
+            }
+        } finally {
+            await handle.dispose();
+        }
+
+        return { matchedSelector };
+    }
+
+    async _executeDblclick(action) {
+        const { handle, matchedSelector, frame } = await this._locate(action);
+
+        try {
+            const point = await this._getActionPoint(handle, frame, action);
+            if (this.option.visualEffects && this.effects) await this.effects.showMouse('DblClick', action.selector, point.x, point.y);
+
+            // 정리(ActionNormalizer)로 앞선 click 이 흡수된 경우(includesClicks) clickCount 1 → 2 로 click, click, dblclick 재현
+            // 그 외에는 녹화된 click 액션이 먼저 재생되므로 clickCount 2 의 down/up 만 (click + dblclick)
+            await this.page.mouse.move(point.x, point.y);
+            if (action.includesClicks) {
+                await this.page.mouse.down({ clickCount: 1 });
+                await this.page.mouse.up({ clickCount: 1 });
+            }
+            await this.page.mouse.down({ clickCount: 2 });
+            await this.page.mouse.up({ clickCount: 2 });
+        } finally {
+            await handle.dispose();
+        }
+
+        return { matchedSelector };
+    }
+
+    async _executeContextMenu(action) {
+        const { handle, matchedSelector, frame } = await this._locate(action);
+
+        try {
+            const point = await this._getActionPoint(handle, frame, action);
+            if (this.option.visualEffects && this.effects) await this.effects.showMouse('RightClick', action.selector, point.x, point.y);
+
+            await this.page.mouse.click(point.x, point.y, { button: 'right' });
+        } finally {
+            await handle.dispose();
+        }
+
+        return { matchedSelector };
+    }
+
+    async _executeHover(action) {
+        const { handle, matchedSelector, frame } = await this._locate(action);
+
+        try {
+            const point = await this._getActionPoint(handle, frame, action);
+            if (this.option.visualEffects && this.effects) await this.effects.showMouse('Hover', action.selector);
+
+            await this.page.mouse.move(point.x, point.y, { steps: 5 });
+        } finally {
+            await handle.dispose();
+        }
+
+        return { matchedSelector };
+    }
+
+    async _executeDrag(action) {
+        const { handle, matchedSelector, frame } = await this._locate(action);
+
+        let start;
+        try {
+            start = await this._getActionPoint(handle, frame, action);
+        } finally {
+            await handle.dispose();
+        }
+
+        if (this.option.visualEffects && this.effects) await this.effects.showMouse('Drag', action.selector, start.x, start.y);
+
+        // 녹화 경로는 시작점 기준 상대 이동으로 재현
+        const path = Array.isArray(action.path) && action.path.length > 0 ? action.path : [{ x: action.x, y: action.y, t: 0 }];
+        const origin = path[0];
+        const mouse = this.page.mouse;
+
+        await mouse.move(start.x, start.y);
+        await mouse.down();
+
+        // 경로 점 간격도 재생 속도 적용 (점당 최대 100ms, fastMode 는 대기 없이 이동)
+        let lastTime = 0;
+        for (const point of path.slice(1)) {
+            const wait = this._playbackDelay(Math.min(point.t - lastTime, 100));
+            if (wait > 0) await this._delay(wait);
+            lastTime = point.t;
+            await mouse.move(start.x + point.x - origin.x, start.y + point.y - origin.y);
+        }
+
+        // 드롭 위치: 드롭 대상 요소 기준 (drag 중 나타나는 드롭 영역 고려), 없으면 상대 이동 끝점
+        let end = {
+            x: start.x + (action.endX ?? origin.x) - origin.x,
+            y: start.y + (action.endY ?? origin.y) - origin.y
+        };
+        let dropSelector;
+
+        if (action.to) {
+            const located = await this._locate({ ...action.to, framePath: action.framePath }, this._actionTimeout(action)).catch(() => null);
+            if (located) {
+                try {
+                    end = await this._getActionPoint(located.handle, located.frame, action.to, false);
+                    dropSelector = located.matchedSelector;
+                } finally {
+                    await located.handle.dispose();
                 }
-            }, action.selector, action.value);
+            }
         }
+
+        await mouse.move(end.x, end.y, { steps: 5 });
+        await mouse.up();
+
+        return { matchedSelector, dropSelector };
     }
 
     async _executeKeydown(action) {
-        if (this.option.visualEffects && this.effects) await this.effects.showKeyPress(action.key);
-        await this.page.keyboard.press(action.key);
+        const modifiers = action.modifiers || [];
+        if (this.option.visualEffects && this.effects) await this.effects.showKeyPress([...modifiers, action.key].join('+'));
+
+        // 조합키: 수식키 누름 → 키 입력 → 수식키 해제 (역순)
+        const keyboard = this.page.keyboard;
+        for (const modifier of modifiers) await keyboard.down(modifier);
+
+        try {
+            await keyboard.press(action.key).catch(async (error) => {
+                // 키보드 레이아웃에 없는 키(한글 등)는 물리 키 코드로 대체
+                if (!action.code) throw error;
+                await keyboard.press(action.code);
+            });
+        } finally {
+            for (const modifier of [...modifiers].reverse()) await keyboard.up(modifier);
+        }
     }
 
     async _executeScroll(action) {
-        const duration = action.duration || 300;
+        // 스크롤 애니메이션 시간도 재생 속도 적용 (fastMode 는 즉시 이동)
+        const duration = Math.max(this._playbackDelay(action.duration || 300), 1);
         const endX = action.scrollX;
         const endY = action.scrollY;
         const startX = action.startScrollX ?? 0;
         const startY = action.startScrollY ?? 0;
 
-        const scrollFunc = (sel, startX, startY, endX, endY, duration) => {
+        const scrollFunc = (el, startX, startY, endX, endY, duration) => {
             return new Promise((resolve) => {
-                const el = sel === 'window' ? window : document.querySelector(sel);
-                if (!el && sel !== 'window') return resolve();
                 const startTime = performance.now();
                 function step() {
                     const elapsed = performance.now() - startTime;
                     const progress = Math.min(elapsed / duration, 1);
                     const eased = 1 - Math.pow(1 - progress, 3);
-                    if (sel === 'window') window.scrollTo(startX + (endX - startX) * eased, startY + (endY - startY) * eased);
+                    if (!el) window.scrollTo(startX + (endX - startX) * eased, startY + (endY - startY) * eased);
                     else { el.scrollLeft = startX + (endX - startX) * eased; el.scrollTop = startY + (endY - startY) * eased; }
                     if (progress < 1) requestAnimationFrame(step); else resolve();
                 }
@@ -626,12 +1411,322 @@ class Replayer extends EventEmitter {
             });
         };
 
+        let matchedSelector;
+
         if (action.selector === 'window') {
-            await this.page.evaluate(scrollFunc, 'window', startX, startY, endX, endY, duration);
+            const frame = await this._resolveFrame(action);
+            await frame.evaluate(scrollFunc, null, startX, startY, endX, endY, duration);
         } else {
-            await this.page.evaluate(scrollFunc, action.selector, startX, startY, endX, endY, duration);
+            // 스크롤 대상이 없으면 건너뛴다 (기존 동작 유지)
+            const located = await this._locate(action).catch(() => null);
+            if (located) {
+                matchedSelector = located.matchedSelector;
+                try {
+                    await located.frame.evaluate(scrollFunc, located.handle, startX, startY, endX, endY, duration);
+                } finally {
+                    await located.handle.dispose();
+                }
+            }
         }
         if (this.option.visualEffects && this.effects) await this.effects.showScroll(action.selector);
+
+        return { matchedSelector };
+    }
+
+    async _executeFileUpload(action) {
+        const chooser = this._fileChooser;
+        this._fileChooser = null;
+
+        let paths;
+        try {
+            paths = await this._resolveUploadFiles(action.files || []);
+        } catch (error) {
+            if (chooser) await chooser.cancel().catch(() => {});
+            throw error;
+        }
+
+        const names = (action.files || []).map(f => f.name);
+        if (this.option.visualEffects && this.effects) await this.effects.showInput(action.selector, names.join(', '));
+
+        // 1. 직전 click 으로 열린 파일 선택 창
+        if (chooser) {
+            await chooser.accept(paths);
+            return { files: names };
+        }
+
+        // 2. file input 에 직접 지정
+        const { handle, matchedSelector } = await this._locate(action);
+        try {
+            await handle.uploadFile(...paths);
+        } finally {
+            await handle.dispose();
+        }
+
+        return { matchedSelector, files: names };
+    }
+
+    /**
+     * [내부] 녹화된 파일명 → 업로드할 로컬 경로 (option.files 매핑)
+     * - Buffer 는 원래 파일명으로 임시 폴더에 저장하여 사용한다.
+     * @returns {Promise<string[]>}
+     */
+    async _resolveUploadFiles(files) {
+        const fileMap = this.option.files || {};
+        const paths = [];
+        const missing = [];
+
+        for (const file of files) {
+            const source = fileMap[file.name];
+
+            if (Buffer.isBuffer(source)) {
+                if (!this._uploadDir) this._uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'u4a-upload-'));
+                const filePath = path.join(this._uploadDir, path.basename(file.name));
+                await fs.promises.writeFile(filePath, source);
+                paths.push(filePath);
+            } else if (typeof source === 'string' && await fs.promises.access(source).then(() => true, () => false)) {
+                paths.push(path.resolve(source));
+            } else {
+                missing.push(file.name);
+            }
+        }
+
+        if (missing.length > 0) {
+            const error = new Error(`업로드 파일을 찾을 수 없습니다. option.files 매핑을 확인하세요: ${missing.join(', ')}`);
+            error.code = ReplayerStatusCode.FILE_NOT_FOUND;
+            throw error;
+        }
+        return paths;
+    }
+
+    async _executeNavigate(action) {
+        const navOptions = { waitUntil: this.option.navigationWaitUntil, timeout: this.option.navigationTimeout };
+
+        if (this.option.visualEffects && this.effects) await this.effects.showNavigate(action.url, action.kind);
+
+        // 1. 사용자가 직접 수행한 네비게이션은 그대로 실행
+        if (action.userInitiated) {
+            switch (action.kind) {
+                case 'back':    await this.page.goBack(navOptions); break;
+                case 'forward': await this.page.goForward(navOptions); break;
+                case 'reload':  await this.page.reload(navOptions); break;
+                default:        await this.page.goto(action.url, navOptions);
+            }
+            return { url: this.page.url() };
+        }
+
+        // 2. 페이지 내 동작(클릭/폼 전송 등)의 결과는 도착만 대기
+        const stripUrl = (url) => (url || '').split(/[?#]/)[0];
+        const deadline = Date.now() + this.option.navigationTimeout;
+
+        while (Date.now() < deadline) {
+            if (this.page.isClosed()) throw new Error('Target closed');
+
+            const current = this.page.url();
+            if (current === action.url || stripUrl(current) === stripUrl(action.url)) {
+                await this.page.waitForFunction(() => document.readyState === 'complete', { timeout: this.option.navigationTimeout }).catch(() => {});
+                return { url: current };
+            }
+            await this._delay(100);
+        }
+
+        // 세션 토큰 등으로 URL 이 달라질 수 있으므로 경고만 남기고 계속 진행
+        console.warn(`[Replayer] Navigation not reached: ${action.url} (current: ${this.page.url()})`);
+        return { url: this.page.url(), navigated: false };
+    }
+
+    async _executeTabOpen(action) {
+        // 팝업(window.open, target=_blank)은 직전 액션으로 열린 페이지를 사용
+        let page = action.openerTabId ? await this._waitForNewPage(this._actionTimeout(action)) : null;
+
+        // 사용자가 직접 연 탭이거나 팝업이 열리지 않은 경우 새 탭 생성
+        if (!page) {
+            page = await this.browser.newPage();
+            if (!this._ownsBrowser) this._createdPages.add(page);
+            if (action.url && action.url !== 'about:blank') {
+                await page.goto(action.url, { waitUntil: 'load' });
+            }
+        }
+
+        this.tabs.set(action.tabId, page);
+        this._registerPageEvents(page);
+
+        return { tabId: action.tabId };
+    }
+
+    async _executeTabSwitch(action) {
+        const page = this.tabs.get(action.tabId);
+        if (!page || page.isClosed()) {
+            const error = new Error(`Tab not found: ${action.tabId}`);
+            error.code = ReplayerStatusCode.TAB_NOT_FOUND;
+            throw error;
+        }
+
+        await this._activatePage(page);
+        return { tabId: action.tabId };
+    }
+
+    async _executeTabClose(action) {
+        const page = this.tabs.get(action.tabId);
+        this.tabs.delete(action.tabId);
+
+        // 앱이 window.close() 로 이미 닫았을 수 있음
+        if (page && !page.isClosed()) await page.close().catch(() => {});
+
+        // 활성 탭이 닫히면 남은 탭 중 마지막 탭으로 전환
+        if (page && page === this.page) {
+            const next = Array.from(this.tabs.values()).reverse().find(p => !p.isClosed());
+            if (next) await this._activatePage(next);
+        }
+
+        return { tabId: action.tabId };
+    }
+
+    // ===== Assertion / Wait Executors =====
+
+    /**
+     * [내부] 검증 단계 실행 (제한 시간까지 반복 확인)
+     * - match: 'exact'(기본) | 'contains' | 'regex' (assert_text / assert_value / assert_url)
+     * - 실패 시 ASSERTION_FAILED 와 함께 기대값/실제값을 메시지로 전달한다. (비밀 값은 가림)
+     */
+    async _executeAssertion(action) {
+        const timeout = action.timeout !== undefined ? action.timeout : this.option.assertionTimeout;
+        const deadline = Date.now() + timeout;
+        let result;
+
+        while (true) {
+            result = await this._checkAssertion(action);
+            if (result.pass || Date.now() >= deadline || this.status !== ReplayerState.PLAYING) break;
+            await this._delay(100);
+        }
+
+        if (this.option.visualEffects && this.effects) {
+            await this.effects.showAssertion(action.type, action.selector || action.expected, result.pass);
+        }
+
+        if (!result.pass) {
+            const show = (value) => action.secret ? '••••••' : JSON.stringify(value);
+            const target = action.selector ? ` [${action.selector}]` : '';
+            const error = new Error(`${action.type} failed (${timeout}ms)${target}: expected ${show(action.expected !== undefined ? action.expected : result.expected)}, actual ${show(result.actual)}`);
+            error.code = ReplayerStatusCode.ASSERTION_FAILED;
+            throw error;
+        }
+
+        const detail = { matchedSelector: result.matchedSelector };
+        if (!action.secret && result.actual !== undefined) detail.actual = result.actual;
+        return detail;
+    }
+
+    /**
+     * [내부] 검증 1회 확인
+     * @returns {Promise<{pass: boolean, actual: *, expected?: *, matchedSelector?: Object}>}
+     */
+    async _checkAssertion(action) {
+        if (action.type === 'assert_url') {
+            const actual = this.page.url();
+            return { pass: this._matchExpected(actual, action.expected, action.match), actual };
+        }
+
+        if (action.type === 'assert_count') {
+            const frame = await this._resolveFrame(action, 0).catch(() => null);
+            const actual = frame ? await this.locator.count(frame, action) : 0;
+            return { pass: actual === Number(action.expected), actual };
+        }
+
+        // 요소 대상 검증 (1회 탐색)
+        let located = null;
+        try {
+            located = await this._locate(action, 0);
+        } catch (error) {
+            if (![ELEMENT_NOT_FOUND, FRAME_NOT_FOUND].includes(error.code)) throw error;
+        }
+
+        if (!located) {
+            if (action.type === 'assert_hidden') return { pass: true, actual: 'not found' };
+            return { pass: false, actual: 'element not found', expected: action.type === 'assert_visible' ? 'visible' : undefined };
+        }
+
+        const { handle, matchedSelector } = located;
+        try {
+            switch (action.type) {
+                case 'assert_visible':
+                case 'assert_hidden': {
+                    const visible = await handle.evaluate(el => {
+                        const style = window.getComputedStyle(el);
+                        const rect = el.getBoundingClientRect();
+                        return style.display !== 'none' && style.visibility !== 'hidden' && (rect.width > 0 || rect.height > 0);
+                    });
+                    const actual = visible ? 'visible' : 'hidden';
+                    const expected = action.type === 'assert_visible' ? 'visible' : 'hidden';
+                    return { pass: actual === expected, actual, expected, matchedSelector };
+                }
+
+                case 'assert_text': {
+                    const actual = await handle.evaluate(el => (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim());
+                    return { pass: this._matchExpected(actual, action.expected, action.match), actual, matchedSelector };
+                }
+
+                case 'assert_value': {
+                    const actual = await handle.evaluate(el => (el.type === 'checkbox' || el.type === 'radio') ? el.checked : el.value);
+                    const pass = typeof action.expected === 'boolean'
+                        ? actual === action.expected
+                        : this._matchExpected(String(actual), action.expected, action.match);
+                    return { pass, actual, matchedSelector };
+                }
+            }
+        } finally {
+            await handle.dispose();
+        }
+
+        return { pass: false, actual: `unknown assertion: ${action.type}` };
+    }
+
+    /**
+     * [내부] 기대값 비교
+     */
+    _matchExpected(actual, expected, match = 'exact') {
+        const text = actual === null || actual === undefined ? '' : String(actual);
+        const target = expected === null || expected === undefined ? '' : String(expected);
+
+        switch (match) {
+            case 'contains': return text.includes(target);
+            case 'regex':    return new RegExp(target).test(text);
+            default:         return text === target;
+        }
+    }
+
+    /**
+     * [내부] 요소 대기 (action.visible: 보일 때까지 대기)
+     */
+    async _executeWaitForSelector(action) {
+        const timeout = action.timeout !== undefined ? action.timeout : this.option.assertionTimeout;
+
+        try {
+            if (action.visible) {
+                return await this._executeAssertion({ ...action, type: 'assert_visible', timeout });
+            }
+
+            const { handle, matchedSelector } = await this._locate(action, timeout);
+            await handle.dispose();
+            return { matchedSelector };
+        } catch (error) {
+            if (error.code === ELEMENT_NOT_FOUND || error.code === FRAME_NOT_FOUND) {
+                error.code = ReplayerStatusCode.ASSERTION_FAILED;
+                error.message = `wait_for_selector failed (${timeout}ms): ${error.message}`;
+            } else if (error.code === ReplayerStatusCode.ASSERTION_FAILED) {
+                error.message = error.message.replace(/^assert_visible/, 'wait_for_selector');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * [내부] 고정 시간 대기 (action.duration ms)
+     * - 녹화 간격이 아니라 사용자가 넣은 명시적 대기이므로 speed / fastMode / maxActionDelay 를 적용하지 않는다.
+     */
+    async _executeWaitMs(action) {
+        const duration = Math.max(Number(action.duration) || 0, 0);
+        await this._delay(duration);
+        return { duration };
     }
 
     async _executeBrowserResize(action) {
@@ -639,7 +1734,18 @@ class Replayer extends EventEmitter {
         try {
             const session = await this.page.target().createCDPSession();
             const { windowId } = await session.send('Browser.getWindowForTarget');
-            await session.send('Browser.setWindowBounds', { windowId, bounds: { width: action.toWidth, height: action.toHeight } });
+
+            // 녹화된 액션은 창(outer) 크기 그대로 적용
+            // DevTools setViewport 에서 가져온 액션(viewportWidth/viewportHeight)은 현재 창 테두리(툴바 등) 크기를 더해 창 크기 계산
+            let bounds = { width: action.toWidth, height: action.toHeight };
+            if (typeof action.viewportWidth === 'number' && typeof action.viewportHeight === 'number') {
+                const chrome = await this.page.evaluate(() => ({
+                    width: window.outerWidth - window.innerWidth,
+                    height: window.outerHeight - window.innerHeight
+                }));
+                bounds = { width: action.viewportWidth + chrome.width, height: action.viewportHeight + chrome.height };
+            }
+            await session.send('Browser.setWindowBounds', { windowId, bounds });
             await session.detach();
         } catch(e) { console.warn('Resize failed:', e); }
     }
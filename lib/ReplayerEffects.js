@@ -120,6 +120,11 @@ class ReplayerEffects {
                         outline-offset: 2px !important;
                     }
                     
+                    .u4a-assert-failed {
+                        outline: 2px solid #ff3b30 !important;
+                        outline-offset: 2px !important;
+                    }
+                    
                     /* 입력 중 표시 */
                     .u4a-typing {
                         background-color: rgba(0, 122, 255, 0.05) !important;
@@ -236,6 +241,41 @@ class ReplayerEffects {
                 history.appendChild(content);
                 document.body.appendChild(history);
                 
+                // shadow root 내부 요소는 "host >>> inner" Selector 체인으로 전달된다
+                const queryDeep = (selector) => {
+                    try {
+                        const parts = selector.split(' >>> ');
+                        let root = document;
+                        let el = null;
+                        for (let i = 0; i < parts.length; i++) {
+                            el = root.querySelector(parts[i]);
+                            if (!el) return null;
+                            if (i < parts.length - 1) {
+                                root = el.shadowRoot;
+                                if (!root) return null;
+                            }
+                        }
+                        return el;
+                    } catch (e) {
+                        return null;
+                    }
+                };
+
+                // 페이지 스타일은 shadow root 안으로 적용되지 않으므로 인라인 스타일로 대체
+                const flashElement = (el, className, style, duration) => {
+                    if (el.getRootNode() === document) {
+                        el.classList.add(className);
+                        setTimeout(() => el.classList.remove(className), duration);
+                        return;
+                    }
+                    const prev = {};
+                    Object.keys(style).forEach(key => { prev[key] = el.style[key]; el.style[key] = style[key]; });
+                    setTimeout(() => Object.keys(style).forEach(key => { el.style[key] = prev[key]; }), duration);
+                };
+
+                // 히스토리 표시용 Selector (체인의 마지막 단계)
+                const shortSelector = (selector) => selector.split(' >>> ').pop().split('.')[0];
+
                 const addToHistory = (icon, description) => {
                     const historyContent = document.getElementById('u4a-action-history-content');
                     if (!historyContent) return;
@@ -291,23 +331,35 @@ class ReplayerEffects {
                         document.body.appendChild(effect);
                         setTimeout(() => effect.remove(), 400);
                         
-                        const desc = selector ? selector.split('.')[0].substring(0, 20) : `${x},${y}`;
+                        const desc = selector ? shortSelector(selector).substring(0, 20) : `${x},${y}`;
                         addToHistory('●', `Click: ${desc}`);
                     },
+
+                    showMouseEffect: (kind, x, y, selector) => {
+                        if (x !== undefined && y !== undefined) {
+                            const effect = document.createElement('div');
+                            effect.className = 'u4a-click-effect';
+                            effect.style.left = x + 'px';
+                            effect.style.top = y + 'px';
+                            document.body.appendChild(effect);
+                            setTimeout(() => effect.remove(), 400);
+                        }
+
+                        const desc = selector ? shortSelector(selector).substring(0, 20) : `${x},${y}`;
+                        addToHistory('◎', `${kind}: ${desc}`);
+                    },
                     
                     highlightElement: (selector) => {
-                        const el = document.querySelector(selector);
+                        const el = selector ? queryDeep(selector) : null;
                         if (el) {
-                            el.classList.add('u4a-highlight');
-                            setTimeout(() => el.classList.remove('u4a-highlight'), 400);
+                            flashElement(el, 'u4a-highlight', { outline: '2px solid #007aff', outlineOffset: '2px' }, 400);
                         }
                     },
                     
                     showTyping: (selector, value) => {
-                        const el = document.querySelector(selector);
+                        const el = selector ? queryDeep(selector) : null;
                         if (el) {
-                            el.classList.add('u4a-typing');
-                            setTimeout(() => el.classList.remove('u4a-typing'), 300);
+                            flashElement(el, 'u4a-typing', { backgroundColor: 'rgba(0, 122, 255, 0.05)' }, 300);
                         }
                         
                         // 🆕 값도 함께 표시
@@ -339,13 +391,30 @@ class ReplayerEffects {
                     },
 
                     showScroll: (selector) => {
-                        const desc = selector === 'window' ? 'Window' : selector.substring(0, 15);
+                        const desc = selector === 'window' ? 'Window' : selector.split(' >>> ').pop().substring(0, 15);
                         addToHistory('↕', `Scroll: ${desc}`);
                     },
           
                     showBrowserResize: (fromWidth, fromHeight, toWidth, toHeight) => {
                         const desc = `${toWidth}x${toHeight}`;
                         addToHistory('⬌', `Resize: ${desc}`);
+                    },
+
+                    showNavigate: (url, kind) => {
+                        let desc = url || '';
+                        try { desc = new URL(url).pathname; } catch (e) {}
+                        addToHistory('➜', `${kind || 'Navigate'}: ${desc.substring(0, 25)}`);
+                    },
+
+                    showAssertion: (kind, target, passed) => {
+                        const el = target ? queryDeep(target) : null;
+                        if (el) {
+                            const color = passed ? '#34c759' : '#ff3b30';
+                            flashElement(el, passed ? 'u4a-highlight' : 'u4a-assert-failed', { outline: `2px solid ${color}`, outlineOffset: '2px' }, 600);
+                        }
+
+                        const desc = target ? shortSelector(String(target)).substring(0, 20) : '';
+                        addToHistory(passed ? '✔' : '✖', `${kind.replace('assert_', 'Assert ')}: ${desc}`);
                     }
                 };
             });
@@ -371,6 +440,35 @@ class ReplayerEffects {
         });
     }
 
+    /**
+     * 네비게이션 효과 표시
+     */
+    async showNavigate(url, kind) {
+        await this.safeExecute(async () => {
+            await this.page.evaluate((u, k) => {
+                if (window.u4aReplayEffects && window.u4aReplayEffects.showNavigate) {
+                    window.u4aReplayEffects.showNavigate(u, k);
+                }
+            }, url, kind);
+        });
+    }
+
+    /**
+     * 검증 결과 표시
+     * @param {string} kind - assert_* 단계 종류
+     * @param {string} target - 대상 Selector (assert_url 은 기대 URL)
+     * @param {boolean} passed
+     */
+    async showAssertion(kind, target, passed) {
+        await this.safeExecute(async () => {
+            await this.page.evaluate((k, t, p) => {
+                if (window.u4aReplayEffects && window.u4aReplayEffects.showAssertion) {
+                    window.u4aReplayEffects.showAssertion(k, t, p);
+                }
+            }, kind, target, passed);
+        });
+    }
+
     /**
      * 자동 재생 표시 보이기
      */
@@ -432,6 +530,22 @@ class ReplayerEffects {
         });
     }
 
+    /**
+     * 마우스 제스처 효과 표시 (더블클릭/우클릭/호버/드래그)
+     * @param {string} kind - 히스토리에 표시할 동작명
+     */
+    async showMouse(kind, selector, x, y) {
+        await this.safeExecute(async () => {
+            await this.page.evaluate((sel) => {
+                window.u4aReplayEffects.highlightElement(sel);
+            }, selector);
+
+            await this.page.evaluate((k, x, y, sel) => {
+                window.u4aReplayEffects.showMouseEffect(k, x, y, sel);
+            }, kind, x, y, selector);
+        });
+    }
+
     /**
      * 입력 효과 표시
      */
@@ -0,0 +1,141 @@
+/**
+ * Replayer 비밀 값 제공 모듈
+ * - 녹화 시 마스킹된 값은 "{{secret:이름}}" 자리표시자로 저장된다.
+ * - 재생 시 Secret Provider 에서 실제 값을 조회하여 치환한다.
+ * - Provider 는 get(name) → string | undefined (Promise 가능) 를 구현하는 객체이다.
+ * - 조회된 값은 로그/에러 메시지/시각 효과에 절대 포함하지 않는다. (이름만 사용)
+ */
+
+const fs = require('fs');
+
+const SECRET_NOT_FOUND = 'SECRET_NOT_FOUND';
+const SECRET_PATTERN = /\{\{secret:([\w.-]+)\}\}/g;
+
+/**
+ * 환경 변수 Provider
+ * - "sapPassword" → U4A_SECRET_SAPPASSWORD (없으면 이름 그대로의 환경 변수)
+ */
+class EnvSecretProvider {
+
+    /**
+     * @param {Object} [option]
+     * @param {string} [option.prefix='U4A_SECRET_']
+     * @param {Object} [option.env=process.env]
+     */
+    constructor(option = {}) {
+        this.prefix = option.prefix !== undefined ? option.prefix : 'U4A_SECRET_';
+        this.env = option.env || process.env;
+    }
+
+    get(name) {
+        const envName = this.prefix + name.replace(/[^\w]/g, '_').toUpperCase();
+        if (this.env[envName] !== undefined) return this.env[envName];
+        return this.env[name];
+    }
+}
+
+/**
+ * 로컬 JSON 파일 Provider
+ * - { "sapPassword": "...", "sap": { "user": "..." } } 형태, 점(.) 경로 지원 ("sap.user")
+ * - 파일은 최초 조회 시 1회 읽는다.
+ */
+class JsonFileSecretProvider {
+
+    /**
+     * @param {string} filePath - JSON 파일 경로
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this._secrets = null;
+    }
+
+    async get(name) {
+        if (!this._secrets) {
+            try {
+                this._secrets = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            } catch (e) {
+                // 파일 내용이 메시지에 노출되지 않도록 원인 구분만 전달
+                throw new Error(`[SecretProvider] 비밀 값 파일을 읽을 수 없습니다: ${this.filePath} (${e instanceof SyntaxError ? 'JSON 형식 오류' : e.code || 'read error'})`);
+            }
+        }
+
+        if (Object.prototype.hasOwnProperty.call(this._secrets, name)) return this._secrets[name];
+        return name.split('.').reduce((node, key) => (node && typeof node === 'object') ? node[key] : undefined, this._secrets);
+    }
+}
+
+/**
+ * 여러 Provider 를 순서대로 조회
+ */
+class ChainSecretProvider {
+
+    constructor(providers = []) {
+        this.providers = providers;
+    }
+
+    async get(name) {
+        for (const provider of this.providers) {
+            const value = await provider.get(name);
+            if (value !== undefined && value !== null) return value;
+        }
+        return undefined;
+    }
+}
+
+/**
+ * Replayer 옵션 값 → Provider
+ * - 미지정: 환경 변수 / 배열: 순서대로 조회 / 함수: get 으로 사용
+ * - get 메서드가 있는 객체: 그대로 사용 / 그 외 객체: { 이름: 값 } 맵
+ */
+function createSecretProvider(source) {
+    if (!source) return new EnvSecretProvider();
+    if (Array.isArray(source)) return new ChainSecretProvider(source.map(createSecretProvider));
+    if (typeof source === 'function') return { get: source };
+    if (typeof source.get === 'function') return source;
+    return { get: (name) => source[name] };
+}
+
+/**
+ * 자리표시자 포함 여부
+ */
+function hasSecret(value) {
+    return typeof value === 'string' && value.includes('{{secret:');
+}
+
+/**
+ * 문자열 내 자리표시자를 실제 값으로 치환
+ * @param {string} value
+ * @param {{get: Function}} provider
+ * @returns {Promise<string>}
+ */
+async function resolveSecrets(value, provider) {
+    if (!hasSecret(value)) return value;
+
+    const names = [...new Set(Array.from(value.matchAll(SECRET_PATTERN), m => m[1]))];
+    const values = {};
+    const missing = [];
+
+    for (const name of names) {
+        const secret = await provider.get(name);
+        if (secret === undefined || secret === null) missing.push(name);
+        else values[name] = String(secret);
+    }
+
+    if (missing.length > 0) {
+        const error = new Error(`Secret not found: ${missing.join(', ')}`);
+        error.code = SECRET_NOT_FOUND;
+        throw error;
+    }
+
+    return value.replace(SECRET_PATTERN, (match, name) => values[name]);
+}
+
+module.exports = {
+    EnvSecretProvider,
+    JsonFileSecretProvider,
+    ChainSecretProvider,
+    createSecretProvider,
+    resolveSecrets,
+    hasSecret,
+    SECRET_NOT_FOUND
+};
@@ -0,0 +1,137 @@
+/**
+ * Replayer SAP UI5 컨트롤 구동 모듈
+ * - 녹화된 DOM Selector 가 더 이상 유효하지 않을 때,
+ *   녹화 시 수집한 UI5 컨트롤 정보(action.ui5)로 컨트롤을 찾아 UI5 API 로 직접 구동한다.
+ */
+
+/**
+ * [브라우저 실행] UI5 컨트롤 검색 및 구동
+ * - page.evaluate 로 직렬화되어 실행되므로 외부 변수를 참조하지 않는다.
+ * @param {Object} info - 녹화된 UI5 컨트롤 정보 ({ type, id, stableId, bindingPath, properties })
+ * @param {string} operation - 'press' | 'input' | 'change'
+ * @param {Object} payload - { value, checked }
+ * @returns {{ ok: boolean, id?: string, reason?: string }}
+ */
+function driveControl(info, operation, payload) {
+    const sap = window.sap;
+    if (!sap || !sap.ui || !sap.ui.getCore) return { ok: false, reason: 'UI5 not loaded' };
+
+    // 1. 전체 컨트롤 목록 (버전별 Registry 차이 대응)
+    const getAllControls = () => {
+        try {
+            const UI5Element = sap.ui.require && sap.ui.require('sap/ui/core/Element');
+            const registry = (UI5Element && UI5Element.registry) || (sap.ui.require && sap.ui.require('sap/ui/core/ElementRegistry'));
+            if (registry && typeof registry.all === 'function') return Object.values(registry.all());
+        } catch (e) {}
+
+        const core = sap.ui.getCore();
+        return core.mElements ? Object.values(core.mElements) : [];
+    };
+
+    const isType = (control) => control && control.getMetadata && control.getMetadata().getName() === info.type;
+
+    const getBindingPath = (control) => {
+        try {
+            const context = control.getBindingContext && control.getBindingContext();
+            return context ? context.getPath() : null;
+        } catch (e) { return null; }
+    };
+
+    // 녹화된 속성과 일치하는 개수 (동점 후보 정렬용)
+    const matchScore = (control) => {
+        const props = info.properties || {};
+        return Object.keys(props).filter(name => {
+            try { return control.getProperty(name) === props[name]; } catch (e) { return false; }
+        }).length;
+    };
+
+    // 2. 컨트롤 검색 (정확한 id → 안정 id 접미사 → 바인딩 경로)
+    let control = sap.ui.getCore().byId(info.id);
+    if (!isType(control)) {
+        const controls = getAllControls().filter(isType);
+
+        let matches = info.stableId
+            ? controls.filter(c => c.getId() === info.stableId || c.getId().endsWith('--' + info.stableId))
+            : [];
+
+        if (matches.length === 0 && info.bindingPath) {
+            matches = controls.filter(c => getBindingPath(c) === info.bindingPath);
+        }
+
+        control = matches.sort((a, b) => matchScore(b) - matchScore(a))[0] || null;
+    }
+
+    if (!control) return { ok: false, reason: 'control not found' };
+
+    // 3. UI5 API 로 구동
+    const has = (name) => typeof control[name] === 'function';
+    const value = payload.value;
+
+    if (payload.checked !== undefined && has('setSelected')) {
+        control.setSelected(payload.checked);
+        if (has('fireSelect')) control.fireSelect({ selected: payload.checked });
+        return { ok: true, id: control.getId() };
+    }
+
+    switch (operation) {
+        case 'press':
+            if (has('firePress')) control.firePress();
+            else if (has('fireTap')) control.fireTap();
+            else if (has('fireSelect')) control.fireSelect();
+            else return { ok: false, reason: 'no press event' };
+            break;
+
+        case 'input':
+            if (!has('setValue')) return { ok: false, reason: 'no setValue' };
+            control.setValue(value);
+            if (has('fireLiveChange')) control.fireLiveChange({ value: value, newValue: value });
+            break;
+
+        case 'change':
+            if (has('setSelectedKey') && !has('setValue')) {
+                control.setSelectedKey(value);
+                if (has('fireChange')) control.fireChange({ selectedItem: has('getSelectedItem') ? control.getSelectedItem() : null });
+            } else if (has('setValue')) {
+                control.setValue(value);
+                if (has('fireChange')) control.fireChange({ value: value, newValue: value });
+            } else {
+                return { ok: false, reason: 'no setValue' };
+            }
+            break;
+
+        default:
+            return { ok: false, reason: 'unknown operation' };
+    }
+
+    return { ok: true, id: control.getId() };
+}
+
+class UI5Driver {
+
+    /**
+     * UI5 구동 가능 여부 (녹화 시 UI5 컨트롤 정보가 수집된 액션)
+     */
+    static isApplicable(action) {
+        return !!(action && action.ui5 && action.ui5.type);
+    }
+
+    /**
+     * UI5 컨트롤 구동
+     * @param {Page|Frame} context - Puppeteer Page 또는 Frame
+     * @param {Object} action - 녹화된 액션
+     * @param {string} operation - 'press' | 'input' | 'change'
+     * @returns {Promise<{type: string, value: string}|null>} 구동된 컨트롤 정보 (실패 시 null)
+     */
+    async execute(context, action, operation) {
+        const payload = { value: action.value, checked: action.checked };
+        const result = await context.evaluate(driveControl, action.ui5, operation, payload);
+
+        if (!result || !result.ok) {
+            console.warn(`[UI5Driver] ${action.ui5.type} 구동 실패: ${result ? result.reason : 'unknown'}`);
+            return null;
+        }
+        return { type: 'ui5', value: result.id };
+    }
+}
+
+module.exports = UI5Driver;
@@ -1,9 +1,25 @@
 const { Recorder, RecorderStatusCode } = require("./lib/Recorder");
 const { Replayer, ReplayerStatusCode } = require("./lib/Replayer");
+const { EnvSecretProvider, JsonFileSecretProvider, ChainSecretProvider } = require("./lib/SecretProvider");
+const { SCHEMA_VERSION, validateRecording, migrateRecording } = require("./lib/RecordingSchema");
+const CodeGenerator = require("./lib/CodeGenerator");
+const { toDevToolsFlow, fromDevToolsFlow } = require("./lib/DevToolsFlow");
+const { normalizeActions, normalizeRecording } = require("./lib/ActionNormalizer");
 
 module.exports = {
     Recorder, 
     RecorderStatusCode,
     Replayer,
-    ReplayerStatusCode
+    ReplayerStatusCode,
+    EnvSecretProvider,
+    JsonFileSecretProvider,
+    ChainSecretProvider,
+    SCHEMA_VERSION,
+    validateRecording,
+    migrateRecording,
+    CodeGenerator,
+    toDevToolsFlow,
+    fromDevToolsFlow,
+    normalizeActions,
+    normalizeRecording
 };
\ No newline at end of file
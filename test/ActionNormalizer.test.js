@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeActions, normalizeActionsWithMap, normalizeRecording } = require('../lib/ActionNormalizer');
+
+const click = (selector, extra = {}) => ({ type: 'click', selector, tabId: 'tab-0', ...extra });
+const input = (selector, value, extra = {}) => ({ type: 'input', selector, tabId: 'tab-0', value, ...extra });
+
+test('키 입력 단위 input 연속 구간 → 마지막 값 1개 (편집 키 포함)', () => {
+    const actions = [
+        input('#a', 'a', { inputType: 'insertText', data: 'a' }),
+        input('#a', 'ab', { inputType: 'insertText', data: 'b' }),
+        { type: 'keydown', selector: '#a', tabId: 'tab-0', key: 'Backspace' },
+        input('#a', 'a', { inputType: 'deleteContentBackward', data: null }),
+        input('#b', 'x')
+    ];
+    const { actions: result, indexMap } = normalizeActionsWithMap(actions);
+
+    assert.deepStrictEqual(result, [
+        { type: 'input', selector: '#a', tabId: 'tab-0', value: 'a' },
+        { type: 'input', selector: '#b', tabId: 'tab-0', value: 'x' }
+    ]);
+    assert.deepStrictEqual(indexMap, [0, 0, 0, 0, 1]);
+});
+
+test('조합 키가 눌린 편집 키는 input 구간을 끊는다', () => {
+    const actions = [
+        input('#a', 'ab'),
+        { type: 'keydown', selector: '#a', tabId: 'tab-0', key: 'Backspace', modifiers: ['Control'] },
+        input('#a', '')
+    ];
+    assert.strictEqual(normalizeActions(actions).length, 3);
+});
+
+test('체크박스 click 직후 같은 대상 change 제거', () => {
+    const actions = [click('#c', { checked: true }), { type: 'change', selector: '#c', tabId: 'tab-0', checked: true }];
+    assert.deepStrictEqual(normalizeActions(actions), [click('#c', { checked: true })]);
+});
+
+test('dblclick 직전 click 2개 제거 + includesClicks 표시', () => {
+    const actions = [click('#x'), click('#a'), click('#a'), { type: 'dblclick', selector: '#a', tabId: 'tab-0' }];
+    const { actions: result, indexMap } = normalizeActionsWithMap(actions);
+
+    assert.deepStrictEqual(result, [click('#x'), { type: 'dblclick', selector: '#a', tabId: 'tab-0', includesClicks: true }]);
+    assert.deepStrictEqual(indexMap, [0, 1, 1, 1]);
+});
+
+test('다른 대상의 click 은 dblclick 에 흡수하지 않음', () => {
+    const actions = [click('#b'), { type: 'dblclick', selector: '#a', tabId: 'tab-0' }];
+    const result = normalizeActions(actions);
+
+    assert.strictEqual(result.length, 2);
+    assert.strictEqual(result[1].includesClicks, undefined);
+});
+
+test('크기 변화 없는 browser_resize 제거 (첫 browser_resize 는 유지)', () => {
+    const resize = { type: 'browser_resize', fromWidth: 800, fromHeight: 600, toWidth: 800, toHeight: 600 };
+    const actions = [resize, click('#a'), { ...resize }, { ...resize, toWidth: 1024 }];
+
+    assert.deepStrictEqual(normalizeActions(actions).map(a => a.type), ['browser_resize', 'click', 'browser_resize']);
+    assert.strictEqual(normalizeActions(actions)[2].toWidth, 1024);
+});
+
+test('이동 없는 scroll 제거', () => {
+    const actions = [click('#a'), { type: 'scroll', selector: 'window', startScrollX: 0, startScrollY: 10, scrollX: 0, scrollY: 10 }];
+    assert.deepStrictEqual(normalizeActions(actions), [click('#a')]);
+});
+
+test('규칙별 비활성화', () => {
+    const actions = [input('#a', 'a'), input('#a', 'ab')];
+    assert.strictEqual(normalizeActions(actions, { mergeInputs: false }).length, 2);
+});
+
+test('원본 배열/액션은 변경하지 않음', () => {
+    const actions = [click('#a'), click('#a'), { type: 'dblclick', selector: '#a', tabId: 'tab-0' }];
+    const copy = JSON.parse(JSON.stringify(actions));
+    normalizeActions(actions);
+    assert.deepStrictEqual(actions, copy);
+});
+
+test('normalizeRecording: 네트워크 기록의 _actionIndex 보정', () => {
+    const recording = {
+        schemaVersion: 2,
+        metadata: {},
+        actions: [input('#a', 'a'), input('#a', 'ab'), click('#b')],
+        network: { log: { entries: [{ _actionIndex: 1, _actionType: 'input' }, { _actionIndex: 2, _actionType: 'click' }, { _actionIndex: null }] } }
+    };
+    const result = normalizeRecording(recording);
+
+    assert.deepStrictEqual(result.metadata.normalized, { originalCount: 3, count: 2 });
+    assert.deepStrictEqual(result.network.log.entries, [
+        { _actionIndex: 0, _actionType: 'input' },
+        { _actionIndex: 1, _actionType: 'click' },
+        { _actionIndex: null }
+    ]);
+});
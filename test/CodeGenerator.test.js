@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+
+const CodeGenerator = require('../lib/CodeGenerator');
+
+const recording = (actions, extra = {}) => ({ schemaVersion: 2, metadata: { url: 'http://localhost/' }, actions, environment: {}, ...extra });
+
+// 생성 스크립트 문법 검사 (실행하지 않음)
+const assertSyntax = (source) => assert.doesNotThrow(() => new vm.Script(source));
+
+// 생성 스크립트의 헬퍼 함수 1개만 평가
+const helperOf = (source, name, env) => {
+    const body = source.match(new RegExp(`function ${name}\\([\\s\\S]*?\\n}`))[0];
+    return new Function('process', `${body}; return ${name};`)({ env });
+};
+
+test('Puppeteer/Playwright 스크립트 생성 (문법 오류 없음)', () => {
+    const data = recording([
+        { type: 'click', selector: '#a', timestamp: 1 },
+        { type: 'input', selector: '#b', value: 'text', timestamp: 2 },
+        { type: 'keydown', selector: 'body', key: 'a', modifiers: ['Control'], timestamp: 3 },
+        { type: 'assert_text', selector: '#c', expected: '완료', match: 'contains', timestamp: 4 },
+        { type: 'tab_open', tabId: 'tab-1', url: 'http://localhost/2', timestamp: 5 },
+        { type: 'wait_ms', duration: 100, timestamp: 6 }
+    ]);
+    const generator = new CodeGenerator();
+
+    assertSyntax(generator.toPuppeteer(data));
+    assertSyntax(generator.toPlaywright(data));
+});
+
+test('지원하지 않는 액션 타입은 생성 중단', () => {
+    assert.throws(() => new CodeGenerator().toPuppeteer(recording([{ type: 'unknown' }])), /unknown/);
+});
+
+test('비밀 값 → requireSecret 호출, 미설정 시 에러', () => {
+    const source = new CodeGenerator().toPuppeteer(recording([{ type: 'input', selector: '#pw', value: 'x{{secret:sap.pw}}', secret: true }]));
+
+    assert.ok(source.includes('fill("x" + requireSecret("sap.pw"))'));
+    assert.ok(!source.includes('process.env.U4A_SECRET_'));
+
+    assert.strictEqual(helperOf(source, 'requireSecret', { U4A_SECRET_SAP_PW: 'p' })('sap.pw'), 'p');
+    assert.strictEqual(helperOf(source, 'requireSecret', { 'sap.pw': 'raw' })('sap.pw'), 'raw');
+    assert.throws(() => helperOf(source, 'requireSecret', {})('sap.pw'), /Secret not found: sap\.pw \(set U4A_SECRET_SAP_PW\)/);
+});
+
+test('Playwright assert_count: .first() 로 좁히지 않은 Locator', () => {
+    const generator = new CodeGenerator();
+    const count = (selectors) => generator.toPlaywright(recording([{ type: 'assert_count', selectors, expected: 3 }]))
+        .split('\n').find(line => line.includes('toHaveCount'));
+
+    assert.ok(!count([{ type: 'text', value: 'Row', unique: false }]).includes('.first()'));
+    assert.ok(!count([{ type: 'aria', value: '행', unique: false }]).includes('.first()'));
+
+    // 일반 단계는 재생 대상 하나로 좁힘
+    const click = generator.toPlaywright(recording([{ type: 'click', selectors: [{ type: 'text', value: 'Row' }] }]));
+    assert.ok(click.includes('.first().click()'));
+});
+
+test('assert_count: Replayer 와 같은 후보 (unique 가 아닌 후보 우선)', () => {
+    const selectors = [{ type: 'id', value: '#row1', unique: true }, { type: 'css', value: 'tr.row', unique: false }];
+    const source = new CodeGenerator().toPuppeteer(recording([{ type: 'assert_count', selectors, expected: 3 }]));
+
+    assert.ok(source.includes('current.$$("tr.row")'));
+});
+
+test('Puppeteer frameOf: index 만 있는 프레임 경로', async () => {
+    const framePath = [{ name: null, url: null, index: 1, selector: null }];
+    const source = new CodeGenerator().toPuppeteer(recording([{ type: 'click', selector: '#a', framePath }]));
+    assert.ok(source.includes('frameOf(current, [{"name":null,"url":null,"index":1}])'));
+
+    const body = source.match(/async function frameOf\([\s\S]*?\n}/)[0];
+    const frameOf = new Function('sleep', `${body}; return frameOf;`)(async () => {});
+    const frame = (name) => ({ name: () => name, url: () => '', childFrames: () => [] });
+    const page = { mainFrame: () => ({ childFrames: () => [frame('a'), frame('b')] }) };
+
+    assert.strictEqual((await frameOf(page, [{ index: 1 }])).name(), 'b');
+    assert.strictEqual((await frameOf(page, [{ name: 'a', index: 1 }])).name(), 'a');
+    await assert.rejects(frameOf(page, [{ index: 5 }]), /Frame not found: #5/);
+});
+
+test('browser_resize: 창 크기 → 뷰포트 크기', () => {
+    const data = recording(
+        [{ type: 'browser_resize', fromWidth: 1000, fromHeight: 800, toWidth: 1200, toHeight: 900 }],
+        { environment: { window: { width: 1000, height: 800 }, viewport: { width: 984, height: 700 } } }
+    );
+    assert.ok(new CodeGenerator().toPlaywright(data).includes('setViewportSize({ width: 1184, height: 800 })'));
+});
+
+test('preserveTiming: 일시정지 구간을 뺀 녹화 간격', () => {
+    const data = recording([
+        { type: 'click', selector: '#a', timestamp: 1000 },
+        { type: 'click', selector: '#b', timestamp: 5000 }
+    ], { metadata: { url: 'http://localhost/', pauses: [{ start: 2000, end: 4500 }] } });
+
+    assert.ok(new CodeGenerator({ preserveTiming: true }).toPuppeteer(data).includes('await sleep(1500);'));
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { toDevToolsFlow, fromDevToolsFlow } = require('../lib/DevToolsFlow');
+const { validateRecording } = require('../lib/RecordingSchema');
+
+const recording = (actions, extra = {}) => ({ schemaVersion: 2, metadata: { type: 'web', url: 'http://localhost/' }, actions, environment: {}, ...extra });
+
+test('fromDevToolsFlow: 닫힌 탭의 tabId 를 다시 쓰지 않음', () => {
+    const result = fromDevToolsFlow({ steps: [
+        { type: 'navigate', url: 'http://localhost/' },
+        { type: 'click', target: 'http://popup-1/', selectors: [['#a']] },
+        { type: 'close', target: 'http://popup-1/' },
+        { type: 'click', target: 'http://popup-2/', selectors: [['#b']] }
+    ] });
+
+    const opened = result.actions.filter(a => a.type === 'tab_open').map(a => a.tabId);
+    assert.deepStrictEqual(opened, ['tab-1', 'tab-2']);
+    assert.strictEqual(result.actions.find(a => a.selector === '#b').tabId, 'tab-2');
+});
+
+test('fromDevToolsFlow: target 전환 → tab_switch', () => {
+    const result = fromDevToolsFlow({ steps: [
+        { type: 'click', target: 'http://popup/', selectors: [['#a']] },
+        { type: 'click', selectors: [['#b']] }
+    ] });
+
+    assert.deepStrictEqual(result.actions.map(a => `${a.type}:${a.tabId}`), ['tab_open:tab-1', 'click:tab-1', 'tab_switch:tab-0', 'click:tab-0']);
+});
+
+test('fromDevToolsFlow: Selector 후보 변환 + 변환 불가 단계 기록', () => {
+    const result = fromDevToolsFlow({ steps: [
+        { type: 'click', selectors: [['aria/저장'], ['my-app', '#inner'], ['xpath///*[@id="a"]']] },
+        { type: 'waitForExpression', expression: 'window.ready' }
+    ] });
+
+    assert.deepStrictEqual(result.actions[0].selectors, [
+        { type: 'css', value: 'my-app >>> #inner' },
+        { type: 'xpath', value: '//*[@id="a"]' },
+        { type: 'aria', value: '저장' }
+    ]);
+    assert.strictEqual(result.actions[0].selector, 'my-app >>> #inner');
+    assert.deepStrictEqual(result.metadata.skippedSteps.map(s => [s.index, s.type]), [[1, 'waitForExpression']]);
+});
+
+test('fromDevToolsFlow: 조합 키 → modifiers, timestamp 는 stepInterval 간격으로 증가', () => {
+    const result = fromDevToolsFlow({ steps: [
+        { type: 'keyDown', key: 'Control' },
+        { type: 'keyDown', key: 'a' },
+        { type: 'keyUp', key: 'a' },
+        { type: 'keyUp', key: 'Control' },
+        { type: 'keyDown', key: 'b' }
+    ] }, { startTime: 1000, stepInterval: 100 });
+
+    assert.deepStrictEqual(result.actions.map(a => [a.key, a.modifiers]), [['a', ['Control']], ['b', undefined]]);
+    assert.deepStrictEqual(result.actions.map(a => a.timestamp), [1200, 1500]);
+    assert.strictEqual(validateRecording(result).valid, true);
+});
+
+test('fromDevToolsFlow: setViewport → viewportWidth/viewportHeight 포함 browser_resize', () => {
+    const result = fromDevToolsFlow({ steps: [{ type: 'setViewport', width: 1280, height: 720 }] });
+    assert.deepStrictEqual(result.actions[0], {
+        type: 'browser_resize', toWidth: 1280, toHeight: 720, viewportWidth: 1280, viewportHeight: 720, tabId: 'tab-0', timestamp: result.actions[0].timestamp
+    });
+});
+
+test('toDevToolsFlow: tab_switch 는 skippedActions 로 보고', () => {
+    const flow = toDevToolsFlow(recording([
+        { type: 'click', selector: '#a', tabId: 'tab-0' },
+        { type: 'tab_open', tabId: 'tab-1', url: 'http://popup/', openerTabId: 'tab-0' },
+        { type: 'click', selector: '#b', tabId: 'tab-1' },
+        { type: 'tab_switch', tabId: 'tab-0', fromTabId: 'tab-1' },
+        { type: 'click', selector: '#c', tabId: 'tab-0' }
+    ]));
+
+    assert.deepStrictEqual(flow.skippedActions.map(s => [s.index, s.type]), [[3, 'tab_switch']]);
+    assert.deepStrictEqual(flow.steps.map(s => [s.type, s.target]), [
+        ['navigate', undefined], ['click', undefined], ['click', 'http://popup/'], ['click', undefined]
+    ]);
+});
+
+test('toDevToolsFlow: 창 크기 → 뷰포트 크기 (창 테두리 제외)', () => {
+    const flow = toDevToolsFlow(recording(
+        [{ type: 'browser_resize', fromWidth: 1000, fromHeight: 800, toWidth: 1000, toHeight: 800 }],
+        { environment: { window: { width: 1000, height: 800 }, viewport: { width: 984, height: 700, deviceScaleFactor: 2 } } }
+    ));
+
+    assert.deepStrictEqual(flow.steps[0], {
+        type: 'setViewport', width: 984, height: 700, deviceScaleFactor: 2, isMobile: false, hasTouch: false, isLandscape: false
+    });
+});
+
+test('toDevToolsFlow: 비밀 값 포함 녹화는 allowSecrets 없이 거부', () => {
+    const secret = recording([{ type: 'input', selector: '#pw', value: '{{secret:pw}}', secret: true }]);
+
+    assert.throws(() => toDevToolsFlow(secret), /actions\[0\]/);
+    assert.strictEqual(toDevToolsFlow(secret, { allowSecrets: true }).steps[1].value, '{{secret:pw}}');
+});
+
+test('toDevToolsFlow → fromDevToolsFlow 왕복 (customStep 보존)', () => {
+    const actions = [
+        { type: 'click', selector: '#a', selectors: [{ type: 'css', value: '#a' }], tabId: 'tab-0' },
+        { type: 'marker', label: '로그인', tabId: 'tab-0' },
+        { type: 'wait_ms', duration: 300, tabId: 'tab-0' },
+        { type: 'assert_url', expected: 'http://localhost/home', tabId: 'tab-0' }
+    ];
+    const result = fromDevToolsFlow(toDevToolsFlow(recording(actions)));
+
+    assert.deepStrictEqual(result.actions.map(a => a.type), ['navigate', 'click', 'marker', 'wait_ms', 'assert_url']);
+    assert.strictEqual(result.actions[2].label, '로그인');
+    assert.strictEqual(result.actions[3].duration, 300);
+    assert.strictEqual(result.actions[4].expected, 'http://localhost/home');
+});
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { NetworkReplayer } = require('../lib/NetworkReplayer');
+
+const entry = (method, url, response = {}, postData) => ({
+    request: { method, url, ...(postData !== undefined ? { postData: { text: postData } } : {}) },
+    response: { status: 200, headers: [], content: { mimeType: 'application/json', text: '{}' }, ...response }
+});
+
+const har = (entries) => ({ log: { entries } });
+const request = (method, url, extra = {}) => ({ method, url, resourceType: 'xhr', ...extra });
+
+test('유효하지 않은 HAR 거부', () => {
+    assert.throws(() => new NetworkReplayer({}), /HAR/);
+});
+
+test('_match: 정확히 일치 → origin 제외 일치', () => {
+    const exact = entry('GET', 'http://a/api?x=1');
+    const other = entry('GET', 'http://b/api?x=2');
+    const replayer = new NetworkReplayer(har([exact, other]));
+
+    assert.strictEqual(replayer._match(request('GET', 'http://a/api?x=1')), exact);
+    assert.strictEqual(replayer._match(request('GET', 'http://c/api?x=2')), other);
+    assert.strictEqual(replayer._match(request('POST', 'http://a/api?x=1')), null);
+});
+
+test('_match: 같은 요청은 녹화 순서대로, 이후 마지막 응답 반복 (reset 으로 초기화)', () => {
+    const first = entry('GET', 'http://a/poll', { content: { text: '1' } });
+    const second = entry('GET', 'http://a/poll', { content: { text: '2' } });
+    const replayer = new NetworkReplayer(har([first, second]));
+    const poll = () => replayer._match(request('GET', 'http://a/poll'));
+
+    assert.deepStrictEqual([poll(), poll(), poll()], [first, second, second]);
+    replayer.reset();
+    assert.strictEqual(poll(), first);
+});
+
+test('_match: matchBody 사용 시 요청 본문까지 비교', () => {
+    const a = entry('POST', 'http://a/save', {}, '{"id":1}');
+    const b = entry('POST', 'http://a/save', {}, '{"id":2}');
+
+    const byBody = new NetworkReplayer(har([a, b]), { matchBody: true });
+    assert.strictEqual(byBody._match(request('POST', 'http://a/save', { postData: '{"id":2}' })), b);
+    assert.strictEqual(byBody._match(request('POST', 'http://a/save', { postData: '{"id":3}' })), null);
+
+    const byUrl = new NetworkReplayer(har([a, b]));
+    assert.strictEqual(byUrl._match(request('POST', 'http://a/save', { postData: '{"id":2}' })), a);
+});
+
+test('_decide: 녹화 응답 / data: URL 전달', () => {
+    const recorded = entry('GET', 'http://a/api');
+    const replayer = new NetworkReplayer(har([recorded]), { unmatched: 'block' });
+
+    assert.deepStrictEqual(replayer._decide(request('GET', 'http://a/api')), { entry: recorded });
+    assert.deepStrictEqual(replayer._decide(request('GET', 'data:text/plain,x')), {});
+    assert.deepStrictEqual(replayer.unmatchedRequests, []);
+});
+
+test('_decide: unmatched 정책', () => {
+    const passthrough = new NetworkReplayer(har([]));
+    assert.deepStrictEqual(passthrough._decide(request('GET', 'http://a/x')), {});
+    assert.deepStrictEqual(passthrough.unmatchedRequests, [{ method: 'GET', url: 'http://a/x', resourceType: 'xhr' }]);
+
+    const block = new NetworkReplayer(har([]), { unmatched: 'block' });
+    assert.deepStrictEqual(block._decide(request('GET', 'http://a/x')), { abort: 'aborted' });
+    assert.deepStrictEqual(block.takeFailures(), []);
+
+    const fail = new NetworkReplayer(har([]), { unmatched: 'fail' });
+    assert.deepStrictEqual(fail._decide(request('GET', 'http://a/x')), { abort: 'failed' });
+    assert.deepStrictEqual(fail.takeFailures(), [{ method: 'GET', url: 'http://a/x', resourceType: 'xhr' }]);
+    assert.deepStrictEqual(fail.takeFailures(), []);
+});
+
+test('_decide: unmatchedResourceTypes 외 리소스는 기록 없이 전달 (빈 배열이면 전체 적용)', () => {
+    const replayer = new NetworkReplayer(har([]), { unmatched: 'fail' });
+    assert.deepStrictEqual(replayer._decide(request('GET', 'http://a/logo.png', { resourceType: 'image' })), {});
+    assert.deepStrictEqual(replayer.unmatchedRequests, []);
+
+    const all = new NetworkReplayer(har([]), { unmatched: 'block', unmatchedResourceTypes: [] });
+    assert.deepStrictEqual(all._decide(request('GET', 'http://a/logo.png', { resourceType: 'image' })), { abort: 'aborted' });
+});
+
+test('_decide: 본문이 생략된 녹화 응답은 미매칭으로 처리', () => {
+    const omitted = entry('GET', 'http://a/big', { bodySize: 5000000, content: { mimeType: 'application/json', size: 5000000, comment: 'body omitted' } });
+    const replayer = new NetworkReplayer(har([omitted]), { unmatched: 'fail' });
+
+    assert.deepStrictEqual(replayer._decide(request('GET', 'http://a/big')), { abort: 'failed' });
+    assert.deepStrictEqual(replayer.unmatchedRequests, [{ method: 'GET', url: 'http://a/big', resourceType: 'xhr', reason: 'body omitted' }]);
+});
+
+test('_hasBody: 빈 본문으로 재생 가능한 응답', () => {
+    const replayer = new NetworkReplayer(har([]));
+    const hasBody = (response) => replayer._hasBody({ response: { status: 200, content: {}, ...response } });
+
+    assert.strictEqual(hasBody({ content: { text: 'x' } }), true);
+    assert.strictEqual(hasBody({ bodySize: 0 }), true);
+    assert.strictEqual(hasBody({ content: { size: 0 } }), true);
+    assert.strictEqual(hasBody({ status: 204 }), true);
+    assert.strictEqual(hasBody({ status: 302 }), true);
+    assert.strictEqual(hasBody({ content: { size: 10 } }), false);
+    assert.strictEqual(hasBody({ content: { text: '' }, bodySize: -1 }), false);
+});
+
+test('_handlePaused: CDP Fetch 응답/차단/전달', async () => {
+    const recorded = entry('GET', 'http://a/api', {
+        headers: [{ name: 'Set-Cookie', value: 'a=1' }, { name: 'set-cookie', value: 'b=2' }, { name: 'Content-Length', value: '2' }],
+        content: { mimeType: 'application/json', text: 'e30=', encoding: 'base64' }
+    });
+    const replayer = new NetworkReplayer(har([recorded]), { unmatched: 'fail' });
+    const sent = [];
+    const session = { send: async (method, params) => sent.push([method, params]) };
+    const paused = (url, resourceType = 'XHR') => ({ requestId: url, resourceType, request: { method: 'GET', url } });
+
+    await replayer._handlePaused(session, paused('http://a/api'));
+    await replayer._handlePaused(session, paused('http://a/missing'));
+    await replayer._handlePaused(session, paused('http://a/style.css', 'Stylesheet'));
+
+    assert.deepStrictEqual(sent, [
+        ['Fetch.fulfillRequest', {
+            requestId: 'http://a/api',
+            responseCode: 200,
+            responseHeaders: [{ name: 'set-cookie', value: 'a=1' }, { name: 'set-cookie', value: 'b=2' }, { name: 'content-type', value: 'application/json' }],
+            body: 'e30='
+        }],
+        ['Fetch.failRequest', { requestId: 'http://a/missing', errorReason: 'Failed' }],
+        ['Fetch.continueRequest', { requestId: 'http://a/style.css' }]
+    ]);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { Recorder } = require('../lib/Recorder');
+
+// 브라우저 없이 녹화 액션 처리만 검사
+const createRecorder = (option = {}) => new Recorder({ url: 'http://localhost/', ...option });
+
+test('_pushAction: timestamp 가 직전 액션보다 작으면 직전 값으로 보정', () => {
+    const recorder = createRecorder({ stream: false });
+    recorder._pushAction({ type: 'click', selector: '#a', timestamp: 2000 });
+    recorder._pushAction({ type: 'navigate', url: 'http://localhost/2', timestamp: 1500 });
+    recorder._pushAction({ type: 'click', selector: '#b', timestamp: 2500 });
+
+    assert.deepStrictEqual(recorder.recordedActions.map(a => a.timestamp), [2000, 2000, 2500]);
+});
+
+test('_redactSecretBurst: 마스킹 이전의 같은 필드 부분 값 제거', () => {
+    const recorder = createRecorder({ stream: false });
+    const field = { selector: '#pw', tabId: 'tab-0' };
+
+    recorder._pushAction({ type: 'input', ...field, value: 'other', timestamp: 1 });
+    recorder._pushAction({ type: 'click', selector: '#login', tabId: 'tab-0', timestamp: 2 });
+    recorder._pushAction({ type: 'input', ...field, value: 'h', data: 'h', timestamp: 3 });
+    recorder._pushAction({ type: 'scroll', selector: 'window', scrollX: 0, scrollY: 10, timestamp: 4 });
+    recorder._pushAction({ type: 'input', ...field, value: 'hu', data: 'u', timestamp: 5, snapshot: { screenshot: 'data:...' }, ui5: { properties: { value: 'hu', type: 'Password' } } });
+    const record = recorder._pushAction({ type: 'input', ...field, value: '{{secret:pw}}', secret: 'pw', timestamp: 6 });
+    recorder._redactSecretBurst(record);
+
+    const [before, , first, , second] = recorder.recordedActions;
+    assert.strictEqual(before.value, 'other');
+    assert.deepStrictEqual([first.value, first.secret, first.data], ['{{secret:pw}}', 'pw', undefined]);
+    assert.deepStrictEqual([second.value, second.secret, second.data], ['{{secret:pw}}', 'pw', undefined]);
+    assert.deepStrictEqual(second.ui5.properties, { type: 'Password' });
+    assert.strictEqual(second.snapshot.screenshot, undefined);
+    assert.ok(!JSON.stringify(recorder.recordedActions).includes('"hu"'));
+});
+
+test('_redactSecretBurst: stream 모드는 이미 전달된 액션 인덱스를 redact 이벤트로 알림', () => {
+    const recorder = createRecorder({ stream: true });
+    const events = [];
+    recorder.on('redact', event => events.push(event));
+
+    recorder._pushAction({ type: 'input', selector: '#pw', value: 'a', timestamp: 1 });
+    recorder._pushAction({ type: 'change', selector: '#pw', value: 'a', timestamp: 2 });
+    recorder._pushAction({ type: 'input', selector: '#pw', value: 'b', timestamp: 3 });
+    const record = recorder._pushAction({ type: 'input', selector: '#pw', value: '{{secret:pw}}', secret: 'pw', timestamp: 4 });
+    recorder._redactSecretBurst(record);
+
+    // 이전 change 에서 중단
+    assert.deepStrictEqual(events, [{ indexes: [2], secret: 'pw', value: '{{secret:pw}}' }]);
+    assert.strictEqual(recorder.recordedActions[0].value, 'a');
+});
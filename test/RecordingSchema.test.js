@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { SCHEMA_VERSION, ACTION_TYPES, migrateRecording, validateRecording } = require('../lib/RecordingSchema');
+
+const recording = (actions, metadata = {}) => ({ schemaVersion: SCHEMA_VERSION, metadata: { url: 'http://localhost/', ...metadata }, actions });
+
+test('migrateRecording: v1 평면 문서 → v2 (원본 유지)', () => {
+    const v1 = {
+        type: 'web',
+        url: 'http://localhost/',
+        recordingStartTime: '2024-01-01T00:00:00.000Z',
+        actions: [{ type: 'click', selector: '#a', timestamp: 1 }],
+        consoleErrors: [{ type: 'error', message: 'x' }]
+    };
+    const v2 = migrateRecording(v1);
+
+    assert.strictEqual(v2.schemaVersion, SCHEMA_VERSION);
+    assert.deepStrictEqual(v2.metadata, { type: 'web', url: 'http://localhost/', recordingStartTime: '2024-01-01T00:00:00.000Z' });
+    assert.strictEqual(v2.actions, v1.actions);
+    assert.deepStrictEqual(v2.errors, v1.consoleErrors);
+    assert.deepStrictEqual(v2.environment, {});
+    assert.strictEqual(v1.schemaVersion, undefined);
+});
+
+test('migrateRecording: 현재 버전은 그대로 반환', () => {
+    const v2 = recording([]);
+    assert.strictEqual(migrateRecording(v2), v2);
+});
+
+test('validateRecording: v1 문서는 변환 후 검증', () => {
+    const result = validateRecording({ url: 'http://localhost/', actions: [{ type: 'click', selector: '#a' }] });
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.recording.schemaVersion, SCHEMA_VERSION);
+});
+
+test('validateRecording: 상위 스키마 버전 거부', () => {
+    const result = validateRecording({ ...recording([]), schemaVersion: SCHEMA_VERSION + 1 });
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.errors[0].path, 'schemaVersion');
+});
+
+test('validateRecording: 모든 오류를 수집', () => {
+    const result = validateRecording(recording([
+        { type: 'click' },
+        { type: 'unknown' },
+        { type: 'wait_ms', duration: -1 },
+        { type: 'assert_count', selector: '#a', expected: '1.5' }
+    ]));
+
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(result.errors.map(e => e.index), [0, 1, 2, 3]);
+    assert.strictEqual(result.errors[1].path, 'actions[1].type');
+});
+
+test('validateRecording: 모든 액션 타입 규칙 존재', () => {
+    ['click', 'browser_resize', 'tab_switch', 'assert_count', 'wait_ms'].forEach(type => assert.ok(ACTION_TYPES.includes(type), type));
+});
+
+test('validateRecording: browser_resize 뷰포트 크기는 선택이지만 쌍으로 숫자', () => {
+    const resize = { type: 'browser_resize', toWidth: 800, toHeight: 600 };
+    assert.strictEqual(validateRecording(recording([resize])).valid, true);
+    assert.strictEqual(validateRecording(recording([{ ...resize, viewportWidth: 780, viewportHeight: 500 }])).valid, true);
+    assert.strictEqual(validateRecording(recording([{ ...resize, viewportWidth: 780 }])).valid, false);
+});
+
+test('validateRecording: timestamp 가 감소하면 오류', () => {
+    const result = validateRecording(recording([
+        { type: 'click', selector: '#a', timestamp: 1000 },
+        { type: 'click', selector: '#b', timestamp: 3000 },
+        { type: 'click', selector: '#c', timestamp: 2000 },
+        { type: 'click', selector: '#d', timestamp: 2500 }
+    ]));
+
+    // 직전 최대값(3000) 기준으로 비교하므로 #c, #d 모두 오류
+    assert.deepStrictEqual(result.errors.map(e => [e.index, e.path]), [[2, 'actions[2].timestamp'], [3, 'actions[3].timestamp']]);
+});
+
+test('validateRecording: 같은 timestamp 는 허용', () => {
+    const result = validateRecording(recording([
+        { type: 'click', selector: '#a', timestamp: 1000 },
+        { type: 'click', selector: '#b', timestamp: 1000 }
+    ]));
+    assert.strictEqual(result.valid, true);
+});
+
+test('validateRecording: 녹화 시각 범위 (허용 오차 1초)', () => {
+    const start = Date.parse('2024-01-01T00:00:00.000Z');
+    const metadata = { recordingStartTime: new Date(start).toISOString(), recordingEndTime: new Date(start + 10000).toISOString() };
+
+    assert.strictEqual(validateRecording(recording([{ type: 'click', selector: '#a', timestamp: start - 500 }], metadata)).valid, true);
+    assert.strictEqual(validateRecording(recording([{ type: 'click', selector: '#a', timestamp: start + 12000 }], metadata)).valid, false);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const {
+    EnvSecretProvider,
+    JsonFileSecretProvider,
+    ChainSecretProvider,
+    createSecretProvider,
+    resolveSecrets,
+    hasSecret,
+    SECRET_NOT_FOUND
+} = require('../lib/SecretProvider');
+
+test('EnvSecretProvider: U4A_SECRET_<이름> → 이름 그대로 순으로 조회', () => {
+    const provider = new EnvSecretProvider({ env: { U4A_SECRET_SAP_USER: 'prefixed', 'sap.user': 'raw', other: 'o' } });
+
+    assert.strictEqual(provider.get('sap.user'), 'prefixed');
+    assert.strictEqual(provider.get('other'), 'o');
+    assert.strictEqual(provider.get('missing'), undefined);
+});
+
+test('JsonFileSecretProvider: 점(.) 경로 조회, 파일 내용은 에러에 노출하지 않음', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'u4a-secret-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const file = path.join(dir, 'secrets.json');
+    fs.writeFileSync(file, JSON.stringify({ 'a.b': 'flat', sap: { user: 'nested' } }));
+    const provider = new JsonFileSecretProvider(file);
+
+    assert.strictEqual(await provider.get('a.b'), 'flat');
+    assert.strictEqual(await provider.get('sap.user'), 'nested');
+    assert.strictEqual(await provider.get('sap.none'), undefined);
+
+    const broken = path.join(dir, 'broken.json');
+    fs.writeFileSync(broken, '{ "pw": "hunter2"');
+    await assert.rejects(new JsonFileSecretProvider(broken).get('pw'), (error) => {
+        assert.ok(error.message.includes('JSON 형식 오류'));
+        assert.ok(!error.message.includes('hunter2'));
+        return true;
+    });
+});
+
+test('ChainSecretProvider: 값이 있는 첫 Provider 사용 (null/undefined 는 다음으로)', async () => {
+    const chain = new ChainSecretProvider([
+        { get: () => undefined },
+        { get: async (name) => name === 'a' ? null : undefined },
+        { get: async (name) => `third:${name}` }
+    ]);
+
+    assert.strictEqual(await chain.get('a'), 'third:a');
+    assert.strictEqual(await new ChainSecretProvider([]).get('a'), undefined);
+});
+
+test('createSecretProvider: 옵션 형태별 Provider', async () => {
+    assert.ok(createSecretProvider(null) instanceof EnvSecretProvider);
+    assert.strictEqual(await createSecretProvider({ pw: 'map' }).get('pw'), 'map');
+    assert.strictEqual(await createSecretProvider((name) => `fn:${name}`).get('pw'), 'fn:pw');
+
+    const custom = { get: () => 'custom' };
+    assert.strictEqual(createSecretProvider(custom), custom);
+
+    const chain = createSecretProvider([{ pw: undefined }, (name) => `fn:${name}`]);
+    assert.ok(chain instanceof ChainSecretProvider);
+    assert.strictEqual(await chain.get('pw'), 'fn:pw');
+});
+
+test('resolveSecrets: 자리표시자 치환', async () => {
+    const provider = createSecretProvider({ user: 'u', pw: 1234 });
+
+    assert.ok(hasSecret('{{secret:pw}}'));
+    assert.ok(!hasSecret('plain'));
+    assert.strictEqual(await resolveSecrets('plain', provider), 'plain');
+    assert.strictEqual(await resolveSecrets('{{secret:user}}/{{secret:pw}}/{{secret:pw}}', provider), 'u/1234/1234');
+});
+
+test('resolveSecrets: 없는 값은 이름만 담은 SECRET_NOT_FOUND', async () => {
+    const provider = createSecretProvider({ user: 'visible-value' });
+
+    await assert.rejects(resolveSecrets('{{secret:user}}{{secret:a}}{{secret:b}}', provider), (error) => {
+        assert.strictEqual(error.code, SECRET_NOT_FOUND);
+        assert.strictEqual(error.message, 'Secret not found: a, b');
+        return true;
+    });
+});